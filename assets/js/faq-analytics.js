@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Intersophia usage analytics
+ * Batches anonymous usage events (question views, dwell time, deep-link entries, social
+ * clicks) recorded by assets/js/main.js and hands them to a pluggable sink. Off unless
+ * ANALYTICS_SINK is configured, and never on when the browser asks not to be tracked.
+ *
+ * A sink is any object with `send(events)`; it may throw to report a failed delivery.
+ * Events carry no identifiers: no user or session ids, cookies, user agent or referrer.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IntersophiaAnalytics = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Undelivered events kept for the next attempt; older ones are dropped
+  const MAX_QUEUE = 200;
+
+  /**
+   * Whether the visitor opted out through Do Not Track or Global Privacy Control
+   * @function isTrackingDisabled
+   * @param {Window} win - Browser window (navigator, doNotTrack)
+   * @returns {boolean} True when nothing may be recorded
+   */
+  function isTrackingDisabled(win) {
+    const nav = win?.navigator ?? {};
+    const dnt = nav.doNotTrack ?? win?.doNotTrack ?? nav.msDoNotTrack;
+    return dnt === '1' || dnt === 'yes' || nav.globalPrivacyControl === true;
+  }
+
+  function createConsoleSink(logger) {
+    return {
+      send(events) {
+        logger.info('[analytics]', events);
+      },
+    };
+  }
+
+  /**
+   * Appends batches to a Web Storage array (for checking what would be sent)
+   * @function createStorageSink
+   * @param {Storage} storage - e.g. window.localStorage
+   * @param {string} key - Storage key
+   * @param {Object} [options]
+   * @param {number} [options.limit=1000] - Oldest events are dropped above this count
+   * @returns {{send: function(Array), list: function(): Array}} Sink
+   */
+  function createStorageSink(storage, key, { limit = 1000 } = {}) {
+    const read = () => {
+      try {
+        const events = JSON.parse(storage.getItem(key));
+        return Array.isArray(events) ? events : [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    return {
+      send(events) {
+        storage.setItem(key, JSON.stringify([...read(), ...events].slice(-limit)));
+      },
+      list: read,
+    };
+  }
+
+  /**
+   * Posts each batch as a JSON array with navigator.sendBeacon, which also works while the page unloads
+   * @function createBeaconSink
+   * @param {string} url - Collecting endpoint
+   * @param {Function} sendBeacon - navigator.sendBeacon bound to navigator
+   * @returns {{send: function(Array)}} Sink
+   */
+  function createBeaconSink(url, sendBeacon) {
+    if (typeof sendBeacon !== 'function') throw new Error('navigator.sendBeacon is not available');
+
+    return {
+      send(events) {
+        // text/plain keeps the request CORS-simple; a JSON content type cannot be beaconed cross-origin
+        const body = new Blob([JSON.stringify(events)], { type: 'text/plain;charset=UTF-8' });
+        if (!sendBeacon(url, body)) throw new Error('The browser refused to queue the beacon');
+      },
+    };
+  }
+
+  /**
+   * Builds the sink described by the ANALYTICS_SINK setting
+   * @function createSink
+   * @param {Object} config - { type: 'console' } | { type: 'storage', key } | { type: 'beacon', url } | a sink object
+   * @param {Object} env
+   * @param {Storage} [env.storage] - Used by the storage sink
+   * @param {Function} [env.sendBeacon] - Used by the beacon sink
+   * @param {Console} [env.logger=console] - Used by the console sink
+   * @returns {Object} Sink
+   * @throws {Error} For an unknown type or a missing browser API
+   */
+  function createSink(config, { storage, sendBeacon, logger = console } = {}) {
+    if (typeof config?.send === 'function') return config;
+
+    switch (config?.type) {
+      case 'console':
+        return createConsoleSink(logger);
+      case 'storage':
+        return createStorageSink(storage, config.key);
+      case 'beacon':
+        return createBeaconSink(config.url, sendBeacon);
+      default:
+        throw new Error(`Unknown analytics sink: ${config?.type}`);
+    }
+  }
+
+  /**
+   * Queues events and sends them in batches: when batchSize is reached, flushInterval
+   * after the first queued event, or when flush() is called (e.g. as the page is hidden)
+   * @function createTracker
+   * @param {Object} options
+   * @param {Object} options.sink - Sink from createSink
+   * @param {number} [options.batchSize=10] - Queued events that trigger a send
+   * @param {number} [options.flushInterval=15000] - Longest wait before queued events are sent (ms)
+   * @param {Function} [options.context] - Returns fields added to every event, e.g. { locale }
+   * @param {Function} [options.now=Date.now] - Clock
+   * @returns {{track: function(string, Object=), flush: function()}} Tracker
+   */
+  function createTracker({ sink, batchSize = 10, flushInterval = 15000, context = () => ({}), now = Date.now }) {
+    let queue = [];
+    let timer = null;
+
+    function flush() {
+      clearTimeout(timer);
+      timer = null;
+      if (!queue.length) return;
+
+      const batch = queue;
+      queue = [];
+      try {
+        sink.send(batch);
+      } catch (error) {
+        console.warn('Failed to send analytics events:', error.message);
+        queue = [...batch, ...queue].slice(-MAX_QUEUE);
+      }
+    }
+
+    return {
+      track(type, data = {}) {
+        queue.push({ type, ...data, ...context(), at: new Date(now()).toISOString() });
+
+        if (queue.length >= batchSize) {
+          flush();
+        } else if (!timer) {
+          timer = setTimeout(flush, flushInterval);
+        }
+      },
+      flush,
+    };
+  }
+
+  return {
+    isTrackingDisabled,
+    createStorageSink,
+    createBeaconSink,
+    createSink,
+    createTracker,
+  };
+});
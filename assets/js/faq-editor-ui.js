@@ -0,0 +1,541 @@
+/**
+ * @fileoverview Intersophia content editor form (?edit mode)
+ * Toolbar, section and item forms, id checks, validation summary and live preview of the
+ * in-browser editor. The draft operations live in assets/js/faq-editor.js; everything the
+ * page owns (translations, notices, file downloads, the preview markup) comes in as options
+ * from assets/js/main.js, so the form also runs against a jsdom document under Node.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./faq-editor.js'), require('./faq-schema.js'));
+  } else {
+    root.IntersophiaEditorUi = factory(root.IntersophiaEditor, root.IntersophiaSchema);
+  }
+})(typeof self !== 'undefined' ? self : this, (Editor, Schema) => {
+  const NOTICE_ID = 'faqEditorNotice';
+
+  /**
+   * Creates the editor for the base-language data file
+   * The draft comes from the store when one was autosaved, otherwise from the source file.
+   * @function createEditorUi
+   * @param {Object} options
+   * @param {Document} options.document - Document to build the form in
+   * @param {HTMLElement} options.container - The editor is inserted at its start
+   * @param {Array} options.source - Parsed faq-data.<default locale>.json
+   * @param {Object|null} options.store - Editor.createDraftStore result, null without storage
+   * @param {string} options.fileName - Name of the downloaded file
+   * @param {string} options.exitUrl - Page address without the edit parameter
+   * @param {string} options.contentLocale - Language of the edited content (preview lang)
+   * @param {function(): string} options.getLocale - Current interface locale (dates)
+   * @param {function(string, Object=): string} options.t - Interface strings
+   * @param {function(): string} options.today - Local YYYY-MM-DD date for new items
+   * @param {function(): string[]} options.getSocials - Channel names for highlightSocials checks
+   * @param {function(Array): Node} options.renderPreview - Preview markup of a draft
+   * @param {function(string): boolean} options.confirm - Asks before destructive actions
+   * @param {function(Object)} options.showNotice - Page notice ({ id, message, action, onAction, timeout })
+   * @param {function(string)} options.removeNotice - Removes a page notice by id
+   * @param {function(string, string)} options.download - Saves text under a file name
+   * @param {function(string): Promise} options.copy - Puts text on the clipboard
+   * @param {number} [options.updateDelay=400] - Pause in typing before the preview refreshes and the draft is saved
+   * @param {number} [options.noticeTimeout] - How long the "copied" notice stays
+   * @returns {{render: function(Object=), getDraft: function(): Array, discard: function()}} Editor
+   */
+  function createEditorUi(options) {
+    const { document, container, store, t } = options;
+    const saved = store?.read();
+    const editor = {
+      draft: saved ? saved.sections : Editor.toDraft(options.source),
+      savedAt: saved?.savedAt ?? null,
+      saveFailed: false,
+      timer: null,
+    };
+    let element = null;
+
+    if (saved) {
+      options.showNotice({
+        id: NOTICE_ID,
+        message: t('editor.restored', { date: formatDateTime(saved.savedAt) }),
+        action: t('editor.discard'),
+        onAction: () => discardDraft(),
+      });
+    }
+
+    function formatDateTime(iso) {
+      return new Intl.DateTimeFormat(options.getLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(iso));
+    }
+
+    /**
+     * Builds the editor: toolbar, the section and item forms, validation issues and the live preview
+     * @function renderEditor
+     * @param {Object} [focus] - Control to focus after the rebuild
+     * @param {number} focus.section - Section index
+     * @param {number} [focus.item] - Item index; the section itself when omitted
+     * @param {string} [focus.action] - data-action of the button to focus; the first field otherwise
+     */
+    function renderEditor(focus) {
+      if (!element?.isConnected) {
+        element = document.createElement('section');
+        element.className = 'faq-editor';
+        element.id = 'faqEditor';
+        container.prepend(element);
+      }
+      element.setAttribute('aria-label', t('editor.label'));
+
+      const form = document.createElement('div');
+      form.className = 'editor-form';
+      form.append(
+        ...editor.draft.map((section, sectionIndex) => createEditorSection(section, sectionIndex)),
+        createEditorButton('add-section', t('editor.addSection'), 'editor-add editor-add-section'),
+      );
+      form.addEventListener('input', handleEditorInput);
+      form.addEventListener('click', handleEditorClick);
+
+      const preview = document.createElement('section');
+      preview.className = 'editor-preview card-surface';
+      preview.setAttribute('aria-labelledby', 'editorPreviewTitle');
+
+      const previewTitle = document.createElement('h2');
+      previewTitle.className = 'editor-preview-title';
+      previewTitle.id = 'editorPreviewTitle';
+      previewTitle.textContent = t('editor.preview');
+
+      const issues = document.createElement('ul');
+      issues.className = 'editor-issues';
+
+      const content = document.createElement('div');
+      content.className = 'editor-preview-content';
+      content.lang = options.contentLocale;
+
+      preview.append(previewTitle, issues, content);
+
+      const columns = document.createElement('div');
+      columns.className = 'editor-columns';
+      columns.append(form, preview);
+
+      element.replaceChildren(createEditorToolbar(), columns);
+      updateIdErrors();
+      updateEditorPreview();
+
+      if (focus) focusEditorControl(focus);
+    }
+
+    function createEditorToolbar() {
+      const toolbar = document.createElement('div');
+      toolbar.className = 'editor-toolbar card-surface';
+
+      const title = document.createElement('h1');
+      title.className = 'editor-title';
+      title.textContent = t('editor.title', { file: options.fileName });
+
+      const status = document.createElement('p');
+      status.className = 'editor-status';
+      status.setAttribute('role', 'status');
+
+      const actions = document.createElement('div');
+      actions.className = 'editor-actions';
+
+      const download = createEditorButton('download', t('editor.download'));
+      download.addEventListener('click', downloadDraft);
+      const copy = createEditorButton('copy', t('editor.copy'));
+      copy.addEventListener('click', copyDraft);
+      const discard = createEditorButton('discard', t('editor.discard'));
+      discard.addEventListener('click', () => {
+        if (options.confirm(t('editor.discardConfirm'))) discardDraft();
+      });
+
+      const exit = document.createElement('a');
+      exit.className = 'editor-exit';
+      exit.href = options.exitUrl;
+      exit.textContent = t('editor.exit');
+
+      actions.append(download, copy, discard, exit);
+      toolbar.append(title, status, actions);
+      return toolbar;
+    }
+
+    function createEditorButton(action, label, className = 'editor-btn') {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.dataset.action = action;
+      button.textContent = label;
+      return button;
+    }
+
+    // Move up / move down / delete, labelled with what they act on
+    function createEditorControls(name, { first, last }) {
+      const controls = document.createElement('div');
+      controls.className = 'editor-controls';
+
+      [['move-up', '↑', 'editor.moveUp', first], ['move-down', '↓', 'editor.moveDown', last], ['delete', '✕', 'editor.delete', false]]
+        .forEach(([action, icon, key, disabled]) => {
+          const button = createEditorButton(action, icon, 'editor-icon-btn');
+          const label = `${t(key)}: ${name}`;
+          button.title = label;
+          button.setAttribute('aria-label', label);
+          button.disabled = disabled;
+          controls.appendChild(button);
+        });
+
+      return controls;
+    }
+
+    function createEditorField({ label, field, value, multiline = false, type = 'text', hint }) {
+      const wrapper = document.createElement('label');
+      wrapper.className = 'editor-field';
+
+      const caption = document.createElement('span');
+      caption.className = 'editor-label';
+      caption.textContent = label;
+
+      const input = document.createElement(multiline ? 'textarea' : 'input');
+      if (!multiline) input.type = type;
+      input.className = 'editor-input';
+      input.dataset.field = field;
+      input.value = value ?? '';
+      if (multiline) input.rows = 5;
+
+      wrapper.append(caption, input);
+
+      if (hint) {
+        const note = document.createElement('span');
+        note.className = 'editor-hint';
+        note.textContent = hint;
+        wrapper.appendChild(note);
+      }
+      return wrapper;
+    }
+
+    function createEditorCheckbox({ label, field, checked }) {
+      const wrapper = document.createElement('label');
+      wrapper.className = 'editor-check';
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.field = field;
+      input.checked = Boolean(checked);
+
+      wrapper.append(input, document.createTextNode(` ${label}`));
+      return wrapper;
+    }
+
+    function createEditorSection(section, sectionIndex) {
+      const name = section.section || t('editor.untitled');
+
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'editor-section card-surface';
+      fieldset.dataset.sectionIndex = String(sectionIndex);
+
+      const legend = document.createElement('legend');
+      legend.className = 'editor-legend';
+      legend.textContent = t('editor.sectionLegend', { number: sectionIndex + 1 });
+
+      const header = document.createElement('div');
+      header.className = 'editor-row';
+      header.append(
+        createEditorField({ label: t('editor.sectionTitle'), field: 'section', value: section.section }),
+        createEditorControls(name, { first: sectionIndex === 0, last: sectionIndex === editor.draft.length - 1 }),
+      );
+
+      fieldset.append(
+        legend,
+        header,
+        createEditorCheckbox({ label: t('editor.hideHeading'), field: 'hideHeading', checked: section.hideHeading }),
+        ...section.items.map((item, itemIndex) => createEditorItem(item, sectionIndex, itemIndex)),
+        createEditorButton('add-item', t('editor.addItem'), 'editor-add'),
+      );
+      return fieldset;
+    }
+
+    function createEditorItem(item, sectionIndex, itemIndex) {
+      const { draft } = editor;
+      const isLastSection = sectionIndex === draft.length - 1;
+
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'editor-item';
+      fieldset.dataset.itemIndex = String(itemIndex);
+      // A new item's id follows its question until it is edited by hand
+      fieldset.dataset.autoId = String(!item.id || item.id === Editor.slugify(item.q));
+
+      const legend = document.createElement('legend');
+      legend.className = 'editor-legend';
+      legend.textContent = t('editor.itemLegend', { number: itemIndex + 1 });
+
+      const header = document.createElement('div');
+      header.className = 'editor-row';
+      header.append(
+        createEditorField({ label: t('editor.question'), field: 'q', value: item.q }),
+        createEditorControls(item.q || t('editor.untitled'), {
+          first: sectionIndex === 0 && itemIndex === 0,
+          last: isLastSection && itemIndex === draft[sectionIndex].items.length - 1,
+        }),
+      );
+
+      const id = createEditorField({ label: t('editor.id'), field: 'id', value: item.id });
+      const error = document.createElement('span');
+      error.className = 'editor-error';
+      error.id = `editor-id-error-${sectionIndex}-${itemIndex}`;
+      id.querySelector('input').setAttribute('aria-describedby', error.id);
+      id.appendChild(error);
+
+      const dates = document.createElement('div');
+      dates.className = 'editor-row editor-dates';
+      dates.append(
+        createEditorField({ label: t('editor.added'), field: 'added', value: item.added, type: 'date' }),
+        createEditorField({ label: t('editor.updated'), field: 'updated', value: item.updated, type: 'date', hint: t('editor.updatedHint') }),
+      );
+
+      fieldset.append(
+        legend,
+        header,
+        id,
+        createEditorField({ label: t('editor.answer'), field: 'a', value: item.a, multiline: true, hint: t('editor.answerHint') }),
+        createEditorCheckbox({ label: t('editor.pinned'), field: 'pinned', checked: item.pinned }),
+        dates,
+      );
+      return fieldset;
+    }
+
+    // Position of a control in the draft, from the fieldsets around it
+    function getEditorPosition(control) {
+      const section = control.closest('.editor-section');
+      const item = control.closest('.editor-item');
+      return {
+        section: section ? Number(section.dataset.sectionIndex) : null,
+        item: item ? Number(item.dataset.itemIndex) : null,
+      };
+    }
+
+    /**
+     * Copies a changed field into the draft; the id of a new item follows its question
+     * @function handleEditorInput
+     * @param {InputEvent} event - Input event from the editor form
+     */
+    function handleEditorInput(event) {
+      const input = event.target;
+      const { field } = input.dataset;
+      if (!field) return;
+
+      const position = getEditorPosition(input);
+      const section = editor.draft[position.section];
+      const target = position.item === null ? section : section.items[position.item];
+      const value = input.type === 'checkbox' ? input.checked : input.value;
+
+      // Unchecked options and cleared dates are left out of the file
+      if ((input.type === 'checkbox' || input.type === 'date') && !value) {
+        delete target[field];
+      } else {
+        target[field] = value;
+      }
+
+      const itemFieldset = input.closest('.editor-item');
+      if (field === 'id') {
+        itemFieldset.dataset.autoId = String(!value);
+      } else if (field === 'q' && itemFieldset.dataset.autoId === 'true') {
+        const taken = Editor.collectIds(editor.draft);
+        taken.delete(target.id);
+        target.id = Editor.uniqueId(Editor.slugify(value), taken);
+        itemFieldset.querySelector('[data-field="id"]').value = target.id;
+      }
+
+      updateIdErrors();
+      scheduleEditorUpdate();
+    }
+
+    /**
+     * Structural changes: adding, moving and deleting sections and items
+     * @function handleEditorClick
+     * @param {MouseEvent} event - Click inside the editor form
+     */
+    function handleEditorClick(event) {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+
+      const { draft } = editor;
+      const { action } = button.dataset;
+      const position = getEditorPosition(button);
+      const onItem = button.closest('.editor-controls') && position.item !== null;
+      let focus = null;
+
+      if (action === 'add-section') {
+        draft.push(Editor.createSection(options.today()));
+        focus = { section: draft.length - 1 };
+      } else if (action === 'add-item') {
+        draft[position.section].items.push(Editor.createItem(options.today()));
+        focus = { section: position.section, item: draft[position.section].items.length - 1 };
+      } else if (action === 'move-up' || action === 'move-down') {
+        const offset = action === 'move-up' ? -1 : 1;
+        if (onItem) {
+          const moved = Editor.moveItem(draft, position.section, position.item, offset);
+          if (moved) focus = { ...moved, action };
+        } else {
+          const moved = Editor.moveSection(draft, position.section, offset);
+          if (moved !== null) focus = { section: moved, action };
+        }
+      } else if (action === 'delete') {
+        focus = deleteFromDraft(position, onItem);
+      }
+
+      if (!focus) return;
+      renderEditor(focus);
+      scheduleEditorUpdate();
+    }
+
+    // Returns where focus goes next, null when the user cancelled
+    function deleteFromDraft(position, onItem) {
+      const { draft } = editor;
+      const section = draft[position.section];
+
+      if (onItem) {
+        const item = section.items[position.item];
+        if (!options.confirm(t('editor.deleteItem', { title: item.q || t('editor.untitled') }))) return null;
+        section.items.splice(position.item, 1);
+        return section.items.length
+          ? { section: position.section, item: Math.min(position.item, section.items.length - 1) }
+          : { section: position.section };
+      }
+
+      const message = t('editor.deleteSection', { title: section.section || t('editor.untitled'), count: section.items.length });
+      if (!options.confirm(message)) return null;
+      draft.splice(position.section, 1);
+      return draft.length ? { section: Math.min(position.section, draft.length - 1) } : { section: -1 };
+    }
+
+    function focusEditorControl({ section, item, action }) {
+      const sectionElement = element.querySelector(`.editor-section[data-section-index="${section}"]`);
+      if (!sectionElement) {
+        element.querySelector('[data-action="add-section"]')?.focus();
+        return;
+      }
+
+      const scope = item === undefined
+        ? sectionElement
+        : sectionElement.querySelector(`.editor-item[data-item-index="${item}"]`);
+      const header = scope?.querySelector('.editor-row');
+      const button = action ? header?.querySelector(`[data-action="${action}"]:not(:disabled)`) : null;
+
+      (button || header?.querySelector('[data-field]'))?.focus();
+    }
+
+    /**
+     * Marks missing, malformed and duplicate ids next to their fields
+     * @function updateIdErrors
+     */
+    function updateIdErrors() {
+      const counts = new Map();
+      editor.draft.forEach((section) => section.items.forEach((item) => {
+        counts.set(item.id, (counts.get(item.id) || 0) + 1);
+      }));
+
+      element.querySelectorAll('.editor-item').forEach((fieldset) => {
+        const { section, item } = getEditorPosition(fieldset);
+        const { id } = editor.draft[section].items[item];
+
+        let message = '';
+        if (!id) {
+          message = t('editor.idEmpty');
+        } else if (!Schema.ID_PATTERN.test(id)) {
+          message = t('editor.idPattern');
+        } else if (counts.get(id) > 1) {
+          message = t('editor.idDuplicate');
+        }
+
+        fieldset.querySelector('.editor-error').textContent = message;
+        fieldset.querySelector('[data-field="id"]').setAttribute('aria-invalid', String(Boolean(message)));
+      });
+    }
+
+    // Preview, validation and autosave wait until typing pauses
+    function scheduleEditorUpdate() {
+      clearTimeout(editor.timer);
+      editor.timer = setTimeout(() => {
+        saveDraft();
+        updateEditorPreview();
+      }, options.updateDelay ?? 400);
+    }
+
+    function saveDraft() {
+      if (!store) return;
+      const savedAt = store.write(editor.draft);
+      editor.saveFailed = !savedAt;
+      if (savedAt) editor.savedAt = savedAt;
+    }
+
+    function validateDraft() {
+      return Schema.validateFaqData(editor.draft, { socials: options.getSocials() });
+    }
+
+    /**
+     * Re-renders the preview and refreshes the validation summary
+     * @function updateEditorPreview
+     */
+    function updateEditorPreview() {
+      const report = validateDraft();
+
+      element.querySelector('.editor-preview-content').replaceChildren(options.renderPreview(editor.draft));
+
+      element.querySelector('.editor-issues').replaceChildren(...report.issues.map((issue) => {
+        const entry = document.createElement('li');
+        entry.className = `editor-issue editor-issue-${issue.severity}`;
+        entry.textContent = Schema.formatIssue(issue);
+        return entry;
+      }));
+
+      const parts = [report.issues.length
+        ? t('editor.problems', { errors: report.errors, warnings: report.warnings })
+        : t('editor.valid')];
+      if (editor.saveFailed || !store) {
+        parts.push(t('editor.notSaved'));
+      } else if (editor.savedAt) {
+        parts.push(t('editor.saved', { date: formatDateTime(editor.savedAt) }));
+      }
+      element.querySelector('.editor-status').textContent = parts.join(' · ');
+    }
+
+    function confirmDraftErrors() {
+      const { errors } = validateDraft();
+      return !errors || options.confirm(t('editor.exportWithErrors', { errors }));
+    }
+
+    function downloadDraft() {
+      if (!confirmDraftErrors()) return;
+      options.download(Editor.toJson(editor.draft), options.fileName);
+    }
+
+    async function copyDraft() {
+      if (!confirmDraftErrors()) return;
+
+      try {
+        await options.copy(Editor.toJson(editor.draft));
+        options.showNotice({ id: NOTICE_ID, message: t('editor.copied'), timeout: options.noticeTimeout });
+      } catch (error) {
+        console.warn('Failed to copy the edited FAQ data:', error.message);
+        options.showNotice({ id: NOTICE_ID, message: t('editor.copyFailed') });
+      }
+    }
+
+    // Back to the published file: forgets the autosaved draft
+    function discardDraft() {
+      clearTimeout(editor.timer);
+      store?.clear();
+      editor.draft = Editor.toDraft(options.source);
+      editor.savedAt = null;
+      options.removeNotice(NOTICE_ID);
+      renderEditor();
+    }
+
+    return {
+      render: renderEditor,
+      getDraft: () => editor.draft,
+      discard: discardDraft,
+    };
+  }
+
+  return {
+    createEditorUi,
+  };
+});
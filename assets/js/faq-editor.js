@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Intersophia content editor model (?edit mode)
+ * Draft operations behind the in-browser editor in assets/js/main.js: adding, moving and
+ * removing sections and items, ids generated from questions, autosaved drafts and the
+ * faq-data.<locale>.json text written back out.
+ *
+ * A draft has the same shape as the data file (sections with items), so it can be
+ * validated with IntersophiaSchema and previewed with IntersophiaRender as it is.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IntersophiaEditor = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Key order in the written file; keys not listed (e.g. from newer schema versions) follow in their own order
+  const SECTION_KEYS = ['section', 'hideHeading', 'items'];
+  const ITEM_KEYS = ['id', 'q', 'a', 'pinned', 'highlightSocials', 'related', 'added', 'updated'];
+
+  // A multi-line JSON array holding only strings
+  const STRING_LIST_PATTERN = /\[\s*\n\s*"(?:[^"\\]|\\.)*"(?:,\s*\n\s*"(?:[^"\\]|\\.)*")*\s*\n\s*\]/g;
+
+  const ID_MAX_LENGTH = 60;
+  // Letters that NFD normalization does not split into a base letter and a mark
+  const SLUG_OVERRIDES = { ł: 'l', Ł: 'l' };
+
+  /**
+   * Turns a question into an id: lower-case ASCII words joined with hyphens
+   * @function slugify
+   * @param {string} text - e.g. 'Jak mogę złapać z wami kontakt?'
+   * @returns {string} e.g. 'jak-moge-zlapac-z-wami-kontakt', '' when nothing is left
+   */
+  function slugify(text) {
+    const slug = Array.from(String(text ?? ''), (char) => SLUG_OVERRIDES[char] ?? char)
+      .join('')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    if (slug.length <= ID_MAX_LENGTH) return slug;
+    // Cut at the last whole word that fits
+    const cut = slug.slice(0, ID_MAX_LENGTH + 1);
+    return cut.slice(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : ID_MAX_LENGTH);
+  }
+
+  /**
+   * Makes an id unique by appending -2, -3, …
+   * @function uniqueId
+   * @param {string} id - Wanted id
+   * @param {Set<string>} taken - Ids already in use
+   * @returns {string} Id not in taken
+   */
+  function uniqueId(id, taken) {
+    if (!taken.has(id)) return id;
+    let suffix = 2;
+    while (taken.has(`${id}-${suffix}`)) suffix += 1;
+    return `${id}-${suffix}`;
+  }
+
+  function collectIds(sections) {
+    return new Set(sections.flatMap((section) => section.items.map((item) => item.id)).filter(Boolean));
+  }
+
+  /**
+   * Empty item for the editor form
+   * @function createItem
+   * @param {string} [added] - YYYY-MM-DD publication date ("nowe" badge)
+   * @returns {{id: string, q: string, a: string, added?: string}} Item
+   */
+  function createItem(added) {
+    return added ? { id: '', q: '', a: '', added } : { id: '', q: '', a: '' };
+  }
+
+  function createSection(added) {
+    return { section: '', items: [createItem(added)] };
+  }
+
+  /**
+   * Copies data file content into an editable draft; malformed sections and items become empty ones
+   * @function toDraft
+   * @param {*} data - Parsed faq-data.<locale>.json
+   * @returns {Array<{section: string, items: Array<Object>}>} Draft sections
+   */
+  function toDraft(data) {
+    return (Array.isArray(data) ? data : []).map((section) => {
+      const copy = isObject(section) ? JSON.parse(JSON.stringify(section)) : {};
+      return {
+        ...copy,
+        section: typeof copy.section === 'string' ? copy.section : '',
+        items: (Array.isArray(copy.items) ? copy.items : []).map((item) => (isObject(item) ? item : createItem())),
+      };
+    });
+  }
+
+  /**
+   * Moves a section up or down
+   * @function moveSection
+   * @param {Array} sections - Draft sections (changed in place)
+   * @param {number} index - Section to move
+   * @param {number} offset - -1 (up) or 1 (down)
+   * @returns {number|null} New index, null when it is already first or last
+   */
+  function moveSection(sections, index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= sections.length) return null;
+
+    const [section] = sections.splice(index, 1);
+    sections.splice(target, 0, section);
+    return target;
+  }
+
+  /**
+   * Moves an item up or down; past the first or last item it continues into the neighbouring section
+   * @function moveItem
+   * @param {Array} sections - Draft sections (changed in place)
+   * @param {number} sectionIndex - Section holding the item
+   * @param {number} itemIndex - Item to move
+   * @param {number} offset - -1 (up) or 1 (down)
+   * @returns {{section: number, item: number}|null} New position, null at the very start or end
+   */
+  function moveItem(sections, sectionIndex, itemIndex, offset) {
+    const { items } = sections[sectionIndex];
+    const target = itemIndex + offset;
+
+    if (target >= 0 && target < items.length) {
+      const [item] = items.splice(itemIndex, 1);
+      items.splice(target, 0, item);
+      return { section: sectionIndex, item: target };
+    }
+
+    const neighbour = sections[sectionIndex + offset];
+    if (!neighbour) return null;
+
+    const [item] = items.splice(itemIndex, 1);
+    if (offset < 0) {
+      neighbour.items.push(item);
+      return { section: sectionIndex + offset, item: neighbour.items.length - 1 };
+    }
+    neighbour.items.unshift(item);
+    return { section: sectionIndex + offset, item: 0 };
+  }
+
+  /**
+   * Serializes a draft as the content of faq-data.<locale>.json
+   * Options left at their default (false, empty lists) are omitted, as in the hand-written file.
+   * @function toJson
+   * @param {Array} sections - Draft sections
+   * @returns {string} JSON text with two-space indentation and a final newline
+   */
+  function toJson(sections) {
+    const data = sections.map((section) => ({
+      ...orderKeys(section, SECTION_KEYS),
+      items: section.items.map((item) => orderKeys(item, ITEM_KEYS)),
+    }));
+    // Lists of ids stay on one line, like highlightSocials and related in the hand-written file
+    const json = JSON.stringify(data, null, 2).replace(STRING_LIST_PATTERN, (list) => (
+      `[${list.slice(1, -1).trim().split(/,\s*\n\s*/).join(', ')}]`
+    ));
+    return `${json}\n`;
+  }
+
+  function orderKeys(object, order) {
+    const keys = [...order.filter((key) => key in object), ...Object.keys(object).filter((key) => !order.includes(key))];
+
+    return Object.fromEntries(keys
+      .filter((key) => object[key] !== false && !(Array.isArray(object[key]) && !object[key].length && key !== 'items'))
+      .map((key) => [key, object[key]]));
+  }
+
+  /**
+   * Autosaved draft in Web Storage
+   * @function createDraftStore
+   * @param {Storage} storage - e.g. window.localStorage
+   * @param {string} key - Storage key
+   * @returns {{read: function(): ({sections: Array, savedAt: string}|null), write: function(Array, Date=): (string|null), clear: function()}} Store; write returns the save time, null when storage failed
+   */
+  function createDraftStore(storage, key) {
+    return {
+      read() {
+        try {
+          const draft = JSON.parse(storage.getItem(key));
+          return Array.isArray(draft?.sections) ? { sections: toDraft(draft.sections), savedAt: draft.savedAt } : null;
+        } catch (error) {
+          return null;
+        }
+      },
+      write(sections, now = new Date()) {
+        const savedAt = now.toISOString();
+        try {
+          storage.setItem(key, JSON.stringify({ savedAt, sections }));
+          return savedAt;
+        } catch (error) {
+          // Storage full or unavailable (privacy mode): the draft only lives in this tab
+          return null;
+        }
+      },
+      clear() {
+        try {
+          storage.removeItem(key);
+        } catch (error) {
+          // Nothing saved to remove
+        }
+      },
+    };
+  }
+
+  function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  return {
+    slugify,
+    uniqueId,
+    collectIds,
+    createItem,
+    createSection,
+    toDraft,
+    moveSection,
+    moveItem,
+    toJson,
+    createDraftStore,
+  };
+});
@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Intersophia meetings (assets/events.json)
+ * Expands recurring meetings, finds the upcoming ones for the "next meeting" card in
+ * assets/js/main.js and exports meetings as iCalendar (.ics, RFC 5545) files.
+ *
+ * Meeting times are wall-clock times ("2026-10-20T17:00") in the file's `timeZone`, so a
+ * weekly meeting stays at 17:00 across daylight saving changes.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IntersophiaEvents = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Zones the .ics export can describe (VTIMEZONE); all of them follow the EU daylight saving rules
+  const TIME_ZONES = {
+    'Europe/Warsaw': { standard: ['CET', '+0100'], daylight: ['CEST', '+0200'] },
+  };
+
+  const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+  // Upper bound for expanding a series without `until` or `count`
+  const MAX_OCCURRENCES = 1000;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // ===== TIME =====
+
+  /**
+   * Parses a wall-clock time into a "wall" timestamp (its fields read as UTC)
+   * @function parseLocalDateTime
+   * @param {string} value - e.g. '2026-10-20T17:00'
+   * @returns {number|null} Wall timestamp, null when the value is malformed or not a real date
+   */
+  function parseLocalDateTime(value) {
+    const match = LOCAL_DATE_TIME_PATTERN.exec(String(value ?? ''));
+    if (!match) return null;
+
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const check = new Date(wall);
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59) return null;
+    return wall;
+  }
+
+  function toLocalDate(wall) {
+    return new Date(wall).toISOString().slice(0, 10);
+  }
+
+  // Minutes the zone is ahead of UTC at an instant
+  function getZoneOffset(instant, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    }).formatToParts(new Date(instant)).map(({ type, value }) => [type, Number(value)]));
+
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((wall - instant) / 60000);
+  }
+
+  /**
+   * Converts a wall timestamp in a time zone into the actual instant
+   * @function zonedToDate
+   * @param {number} wall - Wall timestamp from parseLocalDateTime
+   * @param {string} timeZone - IANA zone, e.g. 'Europe/Warsaw'
+   * @returns {Date} Instant
+   */
+  function zonedToDate(wall, timeZone) {
+    let instant = wall - getZoneOffset(wall, timeZone) * 60000;
+    // Second pass picks the offset in force at the result (matters around DST changes)
+    instant = wall - getZoneOffset(instant, timeZone) * 60000;
+    return new Date(instant);
+  }
+
+  // ===== MEETINGS =====
+
+  /**
+   * Picks the text for a locale from a string or a { pl, en, … } object
+   * @function localize
+   * @param {string|Object} value - Plain text or texts by locale
+   * @param {string} locale - Wanted locale
+   * @param {string} fallbackLocale - Used when the wanted one is missing
+   * @returns {string} Text, '' when there is none
+   */
+  function localize(value, locale, fallbackLocale) {
+    if (typeof value === 'string') return value;
+    if (!value || typeof value !== 'object') return '';
+    return value[locale] ?? value[fallbackLocale] ?? Object.values(value).find((text) => typeof text === 'string') ?? '';
+  }
+
+  /**
+   * Wall start timestamps of a meeting, in order: one for a single meeting, the series for `repeat`
+   * Dates listed in `skip` are left out (they still count towards `repeat.count`, as in iCalendar).
+   * @generator
+   * @function occurrenceStarts
+   * @param {Object} event - Meeting from events.json
+   * @yields {number} Wall timestamp
+   */
+  function* occurrenceStarts(event) {
+    const start = parseLocalDateTime(event.start);
+    if (start === null) return;
+
+    const repeat = event.repeat;
+    if (!repeat) {
+      yield start;
+      return;
+    }
+
+    const interval = Number.isInteger(repeat.interval) && repeat.interval > 0 ? repeat.interval : 1;
+    const skipped = new Set(Array.isArray(event.skip) ? event.skip : []);
+    const limit = Number.isInteger(repeat.count) && repeat.count > 0 ? repeat.count : MAX_OCCURRENCES;
+    const first = new Date(start);
+
+    for (let step = 0, produced = 0; produced < limit && step < MAX_OCCURRENCES * 2; step += 1) {
+      let wall;
+      if (repeat.freq === 'monthly') {
+        wall = Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + step * interval, first.getUTCDate(),
+          first.getUTCHours(), first.getUTCMinutes());
+        // Months without that day (31st, 29 February) have no meeting, as in iCalendar
+        if (new Date(wall).getUTCDate() !== first.getUTCDate()) continue;
+      } else {
+        wall = start + step * interval * (repeat.freq === 'weekly' ? 7 : 1) * DAY_MS;
+      }
+
+      if (repeat.until && toLocalDate(wall) > repeat.until) return;
+      produced += 1;
+      if (!skipped.has(toLocalDate(wall))) yield wall;
+    }
+  }
+
+  /**
+   * First occurrence of a meeting that has not ended yet
+   * @function nextOccurrence
+   * @param {Object} event - Meeting from events.json
+   * @param {Object} options
+   * @param {string} options.timeZone - Zone of the meeting times
+   * @param {Date|number} [options.now=Date.now()] - Client clock
+   * @returns {{start: Date, end: Date, date: string}|null} Occurrence (date is its local YYYY-MM-DD), null when all are past
+   */
+  function nextOccurrence(event, { timeZone, now = Date.now() }) {
+    const start = parseLocalDateTime(event.start);
+    const end = parseLocalDateTime(event.end);
+    if (start === null || end === null || end <= start) return null;
+
+    const duration = end - start;
+    for (const wall of occurrenceStarts(event)) {
+      const occurrenceEnd = zonedToDate(wall + duration, timeZone);
+      if (occurrenceEnd > now) {
+        return { start: zonedToDate(wall, timeZone), end: occurrenceEnd, date: toLocalDate(wall) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Meetings that have not ended yet, each with its next occurrence, soonest first
+   * `topic` is that occurrence's entry in the meeting's `topics` map (by local date), if any.
+   * @function upcomingMeetings
+   * @param {Object} data - Parsed events.json ({ timeZone, events })
+   * @param {Object} [options]
+   * @param {Date|number} [options.now=Date.now()] - Client clock
+   * @param {number} [options.limit=Infinity] - Maximum number of meetings
+   * @returns {Array<{event: Object, start: Date, end: Date, date: string, topic: (string|Object|null)}>} Meetings
+   */
+  function upcomingMeetings(data, { now = Date.now(), limit = Infinity } = {}) {
+    const events = Array.isArray(data?.events) ? data.events : [];
+    if (!TIME_ZONES[data?.timeZone]) return [];
+
+    return events
+      .filter((event) => event && typeof event.id === 'string')
+      .map((event) => ({ event, ...nextOccurrence(event, { timeZone: data.timeZone, now }) }))
+      .filter((meeting) => meeting.start)
+      .map((meeting) => ({ ...meeting, topic: meeting.event.topics?.[meeting.date] ?? null }))
+      .sort((a, b) => a.start - b.start)
+      .slice(0, limit);
+  }
+
+  // ===== ICALENDAR EXPORT =====
+
+  function formatIcsDateTime(wall) {
+    return new Date(wall).toISOString().slice(0, 16).replace(/[-:]/g, '') + '00';
+  }
+
+  function formatIcsUtc(date) {
+    return `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+  }
+
+  // TEXT values escape backslashes, separators and line breaks (RFC 5545, 3.3.11)
+  function escapeIcsText(text) {
+    return String(text ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n?|\n/g, '\\n');
+  }
+
+  // Content lines longer than 75 octets continue on lines starting with a space (RFC 5545, 3.1)
+  function foldIcsLine(line) {
+    const lines = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = utf8Length(char.codePointAt(0));
+      if (octets + size > 75) {
+        lines.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += char;
+      octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+  }
+
+  function utf8Length(codePoint) {
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    return codePoint < 0x10000 ? 3 : 4;
+  }
+
+  function timeZoneLines(timeZone) {
+    const { standard, daylight } = TIME_ZONES[timeZone];
+
+    return [
+      'BEGIN:VTIMEZONE',
+      `TZID:${timeZone}`,
+      'BEGIN:DAYLIGHT',
+      `TZOFFSETFROM:${standard[1]}`,
+      `TZOFFSETTO:${daylight[1]}`,
+      `TZNAME:${daylight[0]}`,
+      'DTSTART:19700329T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      `TZOFFSETFROM:${daylight[1]}`,
+      `TZOFFSETTO:${standard[1]}`,
+      `TZNAME:${standard[0]}`,
+      'DTSTART:19701025T030000',
+      'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+    ];
+  }
+
+  function repeatRule(repeat, timeZone) {
+    const parts = [`FREQ=${repeat.freq.toUpperCase()}`];
+    if (Number.isInteger(repeat.interval) && repeat.interval > 1) parts.push(`INTERVAL=${repeat.interval}`);
+
+    if (Number.isInteger(repeat.count) && repeat.count > 0) {
+      parts.push(`COUNT=${repeat.count}`);
+    } else if (repeat.until) {
+      // With a TZID start, UNTIL must be in UTC: the last second of the `until` day in the meeting's zone
+      const lastSecond = zonedToDate(parseLocalDateTime(`${repeat.until}T23:59`), timeZone);
+      parts.push(`UNTIL=${formatIcsUtc(new Date(lastSecond.getTime() + 59000))}`);
+    }
+    return `RRULE:${parts.join(';')}`;
+  }
+
+  /**
+   * Builds an .ics calendar with one meeting; repeating meetings keep their RRULE and skipped dates (EXDATE)
+   * @function toIcs
+   * @param {Object} event - Meeting from events.json
+   * @param {Object} options
+   * @param {string} options.timeZone - Zone of the meeting times (a key of TIME_ZONES)
+   * @param {string} options.locale - Language of the exported texts
+   * @param {string} options.fallbackLocale - Used for texts missing in that language
+   * @param {string} [options.location] - Default location from events.json
+   * @param {string} [options.url] - Page to link from the calendar entry
+   * @param {Date} [options.now=new Date()] - Export time (DTSTAMP)
+   * @returns {string} iCalendar text with CRLF line breaks
+   * @throws {Error} For a time zone missing from TIME_ZONES or malformed start/end times
+   */
+  function toIcs(event, { timeZone, locale, fallbackLocale, location, url, now = new Date() }) {
+    if (!TIME_ZONES[timeZone]) throw new Error(`Unsupported time zone: ${timeZone}`);
+
+    const start = parseLocalDateTime(event.start);
+    const end = parseLocalDateTime(event.end);
+    if (start === null || end === null) throw new Error(`Malformed start or end of meeting "${event.id}"`);
+
+    const text = (value) => escapeIcsText(localize(value, locale, fallbackLocale));
+    const place = localize(event.location ?? location, locale, fallbackLocale);
+    const description = localize(event.description, locale, fallbackLocale);
+    const skipped = event.repeat && Array.isArray(event.skip) ? event.skip : [];
+    const time = new Date(start).toISOString().slice(11, 16);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Intersophia//FAQ//PL',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...timeZoneLines(timeZone),
+      'BEGIN:VEVENT',
+      `UID:${event.id}@intersophia`,
+      `DTSTAMP:${formatIcsUtc(now)}`,
+      `DTSTART;TZID=${timeZone}:${formatIcsDateTime(start)}`,
+      `DTEND;TZID=${timeZone}:${formatIcsDateTime(end)}`,
+      event.repeat ? repeatRule(event.repeat, timeZone) : null,
+      ...skipped.map((date) => `EXDATE;TZID=${timeZone}:${formatIcsDateTime(parseLocalDateTime(`${date}T${time}`))}`),
+      `SUMMARY:${text(event.title)}`,
+      place ? `LOCATION:${escapeIcsText(place)}` : null,
+      description ? `DESCRIPTION:${escapeIcsText(description)}` : null,
+      url ? `URL:${url}` : null,
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ];
+
+    return `${lines.filter(Boolean).map(foldIcsLine).join('\r\n')}\r\n`;
+  }
+
+  function icsFileName(event) {
+    return `intersophia-${event.id}.ics`;
+  }
+
+  return {
+    TIME_ZONES,
+    parseLocalDateTime,
+    zonedToDate,
+    localize,
+    nextOccurrence,
+    upcomingMeetings,
+    toIcs,
+    icsFileName,
+  };
+});
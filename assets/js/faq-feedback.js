@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Intersophia "Was this helpful?" feedback storage
+ * Adapters, per-question rate limiting and export helpers used by the feedback widget in
+ * assets/js/main.js and by scripts/feedback-server.js.
+ *
+ * An adapter is any object with `send(record): Promise` and, when it can read responses
+ * back, `list(): Promise<Array>`.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IntersophiaFeedback = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const COMMENT_MAX_LENGTH = 500;
+
+  // Column order of the CSV export
+  const FIELDS = ['questionId', 'helpful', 'comment', 'locale', 'createdAt'];
+
+  /**
+   * Checks and cleans a feedback response
+   * @function normalizeRecord
+   * @param {Object} raw - { questionId, helpful, comment?, locale?, createdAt? }
+   * @returns {Object|null} Record with every field of FIELDS, null when questionId or helpful is missing
+   */
+  function normalizeRecord(raw) {
+    if (!raw || typeof raw.questionId !== 'string' || !raw.questionId.trim()) return null;
+    if (typeof raw.helpful !== 'boolean') return null;
+
+    const createdAt = new Date(raw.createdAt ?? Date.now());
+
+    return {
+      questionId: raw.questionId.trim(),
+      helpful: raw.helpful,
+      comment: typeof raw.comment === 'string' ? raw.comment.trim().slice(0, COMMENT_MAX_LENGTH) : '',
+      locale: typeof raw.locale === 'string' ? raw.locale : '',
+      createdAt: Number.isNaN(createdAt.getTime()) ? new Date().toISOString() : createdAt.toISOString(),
+    };
+  }
+
+  function readJson(storage, key, fallback) {
+    try {
+      return JSON.parse(storage.getItem(key)) ?? fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Storage-like object that keeps its items in memory, for browsers that block Web Storage
+   * @function createMemoryStorage
+   * @returns {{getItem: function(string): (string|null), setItem: function(string, string), removeItem: function(string)}} Storage
+   */
+  function createMemoryStorage() {
+    const items = new Map();
+    return {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+    };
+  }
+
+  /**
+   * Keeps responses in Web Storage (the default: nothing leaves the browser)
+   * @function createStorageAdapter
+   * @param {Storage} storage - e.g. window.localStorage
+   * @param {string} key - Storage key
+   * @param {Object} [options]
+   * @param {number} [options.limit=1000] - Oldest responses are dropped above this count
+   * @returns {{send: function(Object): Promise<void>, list: function(): Promise<Array>}} Adapter
+   */
+  function createStorageAdapter(storage, key, { limit = 1000 } = {}) {
+    const read = () => {
+      const records = readJson(storage, key, []);
+      return Array.isArray(records) ? records : [];
+    };
+
+    return {
+      async send(record) {
+        const records = read();
+        records.push(record);
+        storage.setItem(key, JSON.stringify(records.slice(-limit)));
+      },
+      async list() {
+        return read();
+      },
+    };
+  }
+
+  /**
+   * Sends each response as JSON in a POST request
+   * @function createPostAdapter
+   * @param {string} url - Endpoint, e.g. http://localhost:8787/feedback (scripts/feedback-server.js)
+   * @param {Object} [options]
+   * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation
+   * @returns {{send: function(Object): Promise<void>}} Adapter
+   */
+  function createPostAdapter(url, { fetch: fetchImpl = globalThis.fetch } = {}) {
+    return {
+      async send(record) {
+        const response = await fetchImpl(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(record),
+          keepalive: true,
+        });
+        if (!response.ok) throw new Error(`Feedback endpoint answered HTTP ${response.status}`);
+      },
+    };
+  }
+
+  /**
+   * Builds the adapter described by the FEEDBACK_ADAPTER setting
+   * @function createAdapter
+   * @param {Object} config - { type: 'storage', key } | { type: 'post', url } | an adapter object
+   * @param {Object} env
+   * @param {Storage} env.storage - Used by the storage adapter
+   * @param {Function} [env.fetch] - Used by the POST adapter
+   * @returns {Object} Adapter
+   * @throws {Error} For an unknown type
+   */
+  function createAdapter(config, { storage, fetch } = {}) {
+    if (typeof config?.send === 'function') return config;
+
+    switch (config?.type) {
+      case 'storage':
+        return createStorageAdapter(storage, config.key);
+      case 'post':
+        return createPostAdapter(config.url, { fetch });
+      default:
+        throw new Error(`Unknown feedback adapter: ${config?.type}`);
+    }
+  }
+
+  /**
+   * Allows one response per question per cooldown period, remembered in Web Storage
+   * @function createRateLimiter
+   * @param {Storage} storage - e.g. window.localStorage
+   * @param {string} key - Storage key
+   * @param {number} cooldownMs - Minimum time between two responses for the same question
+   * @returns {{canSend: function(string, number=): boolean, markSent: function(string, number=)}} Limiter
+   */
+  function createRateLimiter(storage, key, cooldownMs) {
+    const read = () => {
+      const sent = readJson(storage, key, {});
+      return sent && typeof sent === 'object' ? sent : {};
+    };
+
+    return {
+      canSend(questionId, now = Date.now()) {
+        const last = read()[questionId];
+        return !(typeof last === 'number' && now - last < cooldownMs);
+      },
+      markSent(questionId, now = Date.now()) {
+        const sent = read();
+        sent[questionId] = now;
+        Object.keys(sent).forEach((id) => {
+          if (now - sent[id] >= cooldownMs) delete sent[id];
+        });
+
+        try {
+          storage.setItem(key, JSON.stringify(sent));
+        } catch (error) {
+          // Without storage the limit only lasts until the page is reloaded
+        }
+      },
+    };
+  }
+
+  function toJson(records) {
+    return JSON.stringify(records, null, 2);
+  }
+
+  /**
+   * Formats responses as CSV (RFC 4180, CRLF line breaks, header row)
+   * @function toCsv
+   * @param {Array<Object>} records - Normalized records
+   * @returns {string} CSV text
+   */
+  function toCsv(records) {
+    const cell = (value) => {
+      let text = String(value ?? '');
+      // Spreadsheets treat cells starting with these characters as formulas
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      FIELDS.join(','),
+      ...records.map((record) => FIELDS.map((field) => cell(record[field])).join(',')),
+    ].join('\r\n');
+  }
+
+  return {
+    COMMENT_MAX_LENGTH,
+    FIELDS,
+    normalizeRecord,
+    createMemoryStorage,
+    createStorageAdapter,
+    createPostAdapter,
+    createAdapter,
+    createRateLimiter,
+    toJson,
+    toCsv,
+  };
+});
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Intersophia keyboard and pager navigation
+ * Index arithmetic behind the arrow-key navigation of the sidebar and accordion and the
+ * previous/next pager of the desktop answer card in assets/js/main.js. The DOM work stays in
+ * main.js; these helpers only take positions and ids, so they run under Node as well.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IntersophiaNavigation = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  /**
+   * Where a navigation key moves focus in a list of items
+   * Arrows wrap around at both ends; Home and End jump to the first and last item.
+   * @function getRovingIndex
+   * @param {string} key - KeyboardEvent.key
+   * @param {number} index - Position of the focused item, -1 when focus is elsewhere
+   * @param {number} count - Number of items
+   * @returns {number|null} New position, null when the key does not move focus
+   */
+  function getRovingIndex(key, index, count) {
+    if (count < 1 || index < 0 || index >= count) return null;
+
+    switch (key) {
+      case 'ArrowDown':
+        return (index + 1) % count;
+      case 'ArrowUp':
+        return (index - 1 + count) % count;
+      case 'Home':
+        return 0;
+      case 'End':
+        return count - 1;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Which item keeps the tab stop after a re-render: the active question's, otherwise the first
+   * @function getTabStopIndex
+   * @param {Array<string|null>} ids - Question id of each item (null for section toggles)
+   * @param {string|null} activeId - Active question id
+   * @returns {number} Position, -1 for an empty list
+   */
+  function getTabStopIndex(ids, activeId) {
+    if (!ids.length) return -1;
+    const active = activeId ? ids.indexOf(activeId) : -1;
+    return active === -1 ? 0 : active;
+  }
+
+  /**
+   * Questions before and after one question in display order
+   * @function getPagerNeighbours
+   * @param {string[]} order - Question ids in display order
+   * @param {string} id - Displayed question id
+   * @returns {{previous: (string|null), next: (string|null)}|null} Neighbour ids, null when the
+   *   question is not in the order or has no neighbours
+   */
+  function getPagerNeighbours(order, id) {
+    const index = order.indexOf(id);
+    if (index === -1) return null;
+
+    const previous = index > 0 ? order[index - 1] : null;
+    const next = index < order.length - 1 ? order[index + 1] : null;
+    return previous || next ? { previous, next } : null;
+  }
+
+  /**
+   * Pager button to focus after paging: the same direction while it exists, otherwise the
+   * remaining one (paging onto the first or last question removes a button)
+   * @function getPagerFocusDirection
+   * @param {'previous'|'next'} direction - Direction used to page
+   * @param {string[]} directions - Directions of the buttons the new pager has
+   * @returns {string|null} Direction to focus, null without buttons
+   */
+  function getPagerFocusDirection(direction, directions) {
+    if (directions.includes(direction)) return direction;
+    return directions[0] ?? null;
+  }
+
+  return {
+    getRovingIndex,
+    getTabStopIndex,
+    getPagerNeighbours,
+    getPagerFocusDirection,
+  };
+});
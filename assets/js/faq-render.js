@@ -0,0 +1,713 @@
+/**
+ * @fileoverview FAQ markup shared by the browser app and the build-time pre-render
+ * Answer formatting, the question index and the sidebar/accordion/socials views live here so
+ * assets/js/main.js and scripts/prerender.js produce the same markup from the same data.
+ * Views return plain node descriptions ({ tag, attrs, children }) that become DOM nodes
+ * in the browser (toDom) or an HTML string in Node (toHtml).
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IntersophiaRender = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // ===== ANSWER FORMATTING =====
+
+  // Answer markup (see formatAnswer)
+  const MARKUP = {
+    code: /`([^`\n]+)`/g,
+    link: /\[([^\]\n]+)\]\(([^)\s]+)\)/g,
+    strong: /\*\*(?=\S)([^\n]*?\S)\*\*/g,
+    emStar: /(^|[^*\p{L}\p{N}])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![*\p{L}\p{N}])/gu,
+    emUnderscore: /(^|[^_\p{L}\p{N}])_(?=[^\s_])([^_\n]*?[^\s_])_(?![_\p{L}\p{N}])/gu,
+    listMarker: /^[ \t]*(?:[*-]|\d+[.)])[ \t]+/gm,
+  };
+  // Site-relative paths may not start with // or /\ – browsers read both as another host
+  const SAFE_URL_PATTERN = /^(?:https?:|mailto:|tel:|#|\/(?![\/\\]))/i;
+  // What browsers strip from a URL before reading it: tabs and line breaks anywhere, control
+  // characters and spaces at both ends ("/&#9;/evil.example" is //evil.example)
+  const URL_IGNORED_PATTERN = /[\t\n\r]|^[\u0000-\u0020]+|[\u0000-\u0020]+$/g;
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  // Allow-list for rendered answers: tag -> permitted attributes
+  const ALLOWED_MARKUP = {
+    P: [], BR: [], UL: [], OL: ['start'], LI: [],
+    STRONG: [], EM: [], CODE: [], MARK: ['class'],
+    A: ['href', 'target', 'rel'],
+  };
+  // Elements removed together with their content (everything else unknown is unwrapped)
+  const DROPPED_MARKUP = new Set([
+    'SCRIPT', 'STYLE', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'TEMPLATE',
+    'NOSCRIPT', 'SVG', 'MATH', 'LINK', 'META', 'BASE', 'FORM', 'TEXTAREA', 'SELECT',
+  ]);
+
+  /**
+   * Formats the Markdown-like subset used in the `a` field into HTML
+   * Supports paragraphs (blank line), line breaks, `* `/`- ` bullets, `1. ` steps,
+   * **bold**, *italic* / _italic_, `inline code` and [links](https://…).
+   * Everything else is escaped; in the browser the result still goes through sanitizeHtml.
+   * @function formatAnswer
+   * @param {string} text - Raw answer text
+   * @returns {string} HTML made of <p>, <ul>/<ol> and inline markup
+   * @example
+   * formatAnswer('Sala `319C`\n\n1. Wejdź\n2. Skręć'); // '<p>Sala <code>319C</code></p><ol><li>Wejdź</li><li>Skręć</li></ol>'
+   */
+  function formatAnswer(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+      if (!paragraph.length) return;
+      blocks.push(`<p>${paragraph.map(formatInline).join('<br>')}</p>`);
+      paragraph = [];
+    };
+
+    const flushList = () => {
+      if (!list) return;
+      const items = list.items.map((item) => `<li>${formatInline(item)}</li>`).join('');
+      const start = list.tag === 'ol' && list.start !== 1 ? ` start="${list.start}"` : '';
+      blocks.push(`<${list.tag}${start}>${items}</${list.tag}>`);
+      list = null;
+    };
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach((line) => {
+      const trimmed = line.trim();
+
+      // Blank lines end paragraphs but keep a list open, so spaced-out bullets stay one list
+      if (!trimmed) {
+        flushParagraph();
+        return;
+      }
+
+      const bullet = /^[*-]\s+(.*)$/.exec(trimmed);
+      const step = /^(\d+)[.)]\s+(.*)$/.exec(trimmed);
+      const tag = bullet ? 'ul' : step ? 'ol' : null;
+
+      if (!tag) {
+        flushList();
+        paragraph.push(trimmed);
+        return;
+      }
+
+      flushParagraph();
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, start: step ? Number(step[1]) : 1, items: [] };
+      list.items.push(bullet ? bullet[1] : step[2]);
+    });
+
+    flushParagraph();
+    flushList();
+
+    return blocks.join('');
+  }
+
+  /**
+   * Formats inline markup within a single line of escaped text
+   * Code spans and links are stashed first so their contents are not re-formatted
+   * @function formatInline
+   * @param {string} text - Raw line
+   * @returns {string} Safe inline HTML
+   */
+  function formatInline(text) {
+    const stash = [];
+    const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+    const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (_, index) => restore(stash[index]));
+
+    const html = escapeHtml(text.replace(/\u0000/g, ''))
+      .replace(MARKUP.code, (_, code) => hold(`<code>${code}</code>`))
+      .replace(MARKUP.link, (_, label, href) => {
+        const content = formatEmphasis(label);
+        if (!isSafeUrl(href)) return content;
+        const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return hold(`<a href="${href}"${external}>${content}</a>`);
+      });
+
+    return restore(formatEmphasis(html));
+  }
+
+  function formatEmphasis(html) {
+    return html
+      .replace(MARKUP.strong, '<strong>$1</strong>')
+      .replace(MARKUP.emStar, '$1<em>$2</em>')
+      .replace(MARKUP.emUnderscore, '$1<em>$2</em>');
+  }
+
+  /**
+   * Strips answer markup down to readable plain text (search index, metadata)
+   * @function toPlainText
+   * @param {string} text - Raw answer text
+   * @returns {string} Text without markup, paragraphs separated by blank lines
+   */
+  function toPlainText(text) {
+    return String(text ?? '')
+      .replace(/\r\n?/g, '\n')
+      .replace(MARKUP.link, '$1')
+      .replace(MARKUP.code, '$1')
+      .replace(MARKUP.strong, '$1')
+      .replace(MARKUP.emStar, '$1$2')
+      .replace(MARKUP.emUnderscore, '$1$2')
+      .replace(MARKUP.listMarker, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Shortens answer text for meta descriptions, cutting at a word boundary
+   * @function excerpt
+   * @param {string} text - Raw answer text
+   * @param {number} maxLength - Maximum length including the ellipsis
+   * @returns {string} Single-line plain text
+   */
+  function excerpt(text, maxLength) {
+    const plain = toPlainText(text).replace(/\s+/g, ' ');
+    if (plain.length <= maxLength) return plain;
+
+    const cut = plain.slice(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:–-]+$/, '')}…`;
+  }
+
+  /**
+   * Whether a link target is allowed, read the way the browser will read it
+   * @function isSafeUrl
+   * @param {string} href - Link target as written
+   * @returns {boolean} True for http(s), mailto, tel, #fragment and same-site paths
+   */
+  function isSafeUrl(href) {
+    return SAFE_URL_PATTERN.test(String(href).replace(URL_IGNORED_PATTERN, ''));
+  }
+
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+  }
+
+  /**
+   * Parses HTML in an inert template and keeps only allow-listed tags and attributes
+   * Unknown elements are unwrapped to their text, dangerous ones dropped with their content,
+   * and links are limited to SAFE_URL_PATTERN (see isSafeUrl).
+   * @function sanitizeHtml
+   * @param {string} html - Untrusted markup
+   * @param {Object} options
+   * @param {Document} options.document - Document to parse in (window.document, or jsdom's in Node)
+   * @returns {DocumentFragment} Sanitized nodes ready to insert
+   * @example
+   * sanitizeHtml('<p onclick="x()">Hi<script>x()</script></p>', { document }); // <p>Hi</p>
+   */
+  function sanitizeHtml(html, { document }) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html ?? '');
+    sanitizeChildren(template.content);
+    return template.content;
+  }
+
+  function sanitizeChildren(parent) {
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === node.TEXT_NODE) return;
+
+      if (node.nodeType !== node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tag = node.nodeName.toUpperCase();
+      const allowedAttributes = ALLOWED_MARKUP[tag];
+
+      if (!allowedAttributes) {
+        if (DROPPED_MARKUP.has(tag)) {
+          node.remove();
+          return;
+        }
+        sanitizeChildren(node);
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      Array.from(node.attributes).forEach(({ name }) => {
+        if (!allowedAttributes.includes(name.toLowerCase())) node.removeAttribute(name);
+      });
+
+      if (tag === 'A') {
+        if (!isSafeUrl(node.getAttribute('href') || '')) node.removeAttribute('href');
+        if (node.hasAttribute('target')) {
+          node.setAttribute('target', '_blank');
+          node.setAttribute('rel', 'noopener noreferrer');
+        }
+      }
+
+      sanitizeChildren(node);
+    });
+  }
+
+  // ===== QUESTION INDEX =====
+
+  /**
+   * Builds question index and processes sections for optimal rendering
+   * Creates a Map for O(1) question lookups and caches valid items per section
+   * @function buildQuestionIndex
+   * Items without an id, question or answer and repeated ids are left out.
+   * @param {Array} sections - Raw FAQ sections from JSON
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Language of items that do not carry their own `lang`
+   * @returns {Object} Object containing questions Map and processed sections
+   * @returns {Map} returns.questions - Map of question ID to question data
+   * @returns {Array} returns.processedSections - Sections with cached validItems and a `key`
+   *   (first question id, so it is the same in every language) used to remember collapsed sections
+   * Each entry gets `related` ({ id, question, lang } of the questions named in the item's `related`
+   * that exist) or, when there are none, the next question of its section with `readNext: true`.
+   */
+  function buildQuestionIndex(sections, { locale } = {}) {
+    const questions = new Map();
+
+    // Process sections and cache valid items to avoid repeated processing
+    const processedSections = sections.map((section) => {
+      const items = Array.isArray(section?.items) ? section.items : [];
+      const validItems = [];
+
+      // Invalid items are reported by reportDataDiagnostics and left out of the UI
+      items.forEach((item) => {
+        if (!item || !item.id) return;
+        if (!String(item.q ?? '').trim() || !String(item.a ?? '').trim()) return;
+        const id = String(item.id);
+        if (questions.has(id)) return;
+
+        const entry = {
+          id,
+          section: section?.section || '',
+          question: item.q || '',
+          answer: item.a || '',
+          order: questions.size, // Track original order for flatList compatibility
+          lang: item.lang || locale,
+          pinned: item.pinned === true,
+          highlightSocials: Array.isArray(item.highlightSocials)
+            ? item.highlightSocials.map((name) => String(name).toLowerCase())
+            : [],
+          related: Array.isArray(item.related) ? item.related.map(String) : [], // Resolved below
+          readNext: false,
+          added: typeof item.added === 'string' ? item.added : null,     // YYYY-MM-DD, checked by validateFaqData
+          updated: typeof item.updated === 'string' ? item.updated : null,
+        };
+        questions.set(id, entry);
+        validItems.push(entry);
+      });
+
+      // Return processed section with cached valid items
+      return {
+        ...section,
+        key: validItems[0]?.id ?? null,
+        validItems, // Cache the processed valid items
+      };
+    });
+
+    // Unknown ids are reported by validateFaqData (IntersophiaSchema) and skipped here
+    processedSections.forEach(({ validItems }) => {
+      validItems.forEach((entry, index) => {
+        const ids = [...new Set(entry.related)].filter((id) => id !== entry.id && questions.has(id));
+        const next = validItems[index + 1];
+
+        entry.readNext = !ids.length && Boolean(next);
+        entry.related = (ids.length ? ids.map((id) => questions.get(id)) : [next].filter(Boolean))
+          .map(({ id, question, lang }) => ({ id, question, lang }));
+      });
+    });
+
+    return { questions, processedSections };
+  }
+
+  // ===== STRUCTURED DATA =====
+
+  /**
+   * Serializes questions as schema.org FAQPage JSON-LD with plain-text answers
+   * The result is safe to place inside <script type="application/ld+json">.
+   * @function faqStructuredData
+   * @param {Iterable<Object>} entries - Question entries from buildQuestionIndex, in display order
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Content language (inLanguage)
+   * @returns {string} JSON text
+   */
+  function faqStructuredData(entries, { locale } = {}) {
+    const data = {
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      inLanguage: locale,
+      mainEntity: Array.from(entries, (entry) => ({
+        '@type': 'Question',
+        name: entry.question,
+        acceptedAnswer: {
+          '@type': 'Answer',
+          text: toPlainText(entry.answer),
+        },
+      })),
+    };
+
+    // Keeps "</script>" in answers from closing the script element
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+  }
+
+  // ===== SOCIAL CHANNELS =====
+
+  /**
+   * Keeps usable channels from socials.json (problems are reported by the schema check)
+   * @function normalizeSocials
+   * @param {Array} channels - Raw channel list
+   * @returns {Array<{name: string, label: string, url: string, icon: string, urls: Object}>} Channels
+   */
+  function normalizeSocials(channels) {
+    if (!Array.isArray(channels)) return [];
+
+    const seen = new Set();
+    return channels
+      .filter((channel) => channel && typeof channel.name === 'string' && typeof channel.url === 'string')
+      .map((channel) => ({
+        name: channel.name.toLowerCase(),
+        label: String(channel.label || channel.name),
+        url: channel.url,
+        icon: typeof channel.icon === 'string' ? channel.icon : '',
+        urls: channel.urls && typeof channel.urls === 'object' ? channel.urls : {},
+      }))
+      .filter((channel) => !seen.has(channel.name) && seen.add(channel.name));
+  }
+
+  // ===== VIEWS =====
+
+  // Bump when view markup changes so stale pre-rendered pages are rebuilt instead of adopted
+  const VIEW_VERSION = 3;
+  const VOID_TAGS = new Set(['br', 'img', 'input', 'meta']);
+
+  /**
+   * Describes an element
+   * @function h
+   * @param {string} tag - Lower-case tag name
+   * @param {Object} [attrs={}] - Attribute name -> value; null, undefined and false are skipped
+   * @param {Array} [children=[]] - Nodes, strings (text) or { html } (trusted markup from formatAnswer)
+   * @returns {{tag: string, attrs: Object, children: Array}} Node description
+   */
+  function h(tag, attrs = {}, children = []) {
+    return { tag, attrs, children };
+  }
+
+  function langAttr(entry, locale) {
+    return entry.lang && entry.lang !== locale ? entry.lang : null;
+  }
+
+  // Sections with a key and a visible heading can be collapsed (search results have no key)
+  function isCollapsible(section) {
+    return Boolean(section.key) && !section.hideHeading;
+  }
+
+  /**
+   * Heading button that shows or hides a section's questions
+   * Rendered expanded; main.js applies the remembered state.
+   * @function sectionToggleView
+   * @param {Object} section - Processed section
+   * @param {string} listId - Id of the element holding the questions
+   * @returns {Object} Node description
+   */
+  function sectionToggleView(section, listId) {
+    return h('button', {
+      type: 'button',
+      class: 'section-toggle',
+      'aria-expanded': 'true',
+      'aria-controls': listId,
+    }, [
+      h('span', {}, [section.section]),
+      h('span', { class: 'chev', 'aria-hidden': 'true' }, ['▾']),
+    ]);
+  }
+
+  function sectionHeadingView(tag, section, listId) {
+    if (section.hideHeading) return null;
+    return h(tag, { class: 'side-title' }, [isCollapsible(section) ? sectionToggleView(section, listId) : section.section]);
+  }
+
+  /**
+   * Desktop sidebar section: heading and one link per question
+   * @function sideSectionView
+   * @param {Object} section - Processed section with validItems
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Page language; items in another language get a lang attribute
+   * @returns {Object} Node description
+   */
+  function sideSectionView(section, { locale } = {}) {
+    const links = section.validItems.map((entry) => h('li', {}, [
+      h('button', {
+        type: 'button',
+        class: 'side-link',
+        'data-question-id': entry.id,
+        'aria-controls': 'contentInner',
+        lang: langAttr(entry, locale),
+      }, [h('span', {}, [entry.question])]),
+    ]));
+
+    const listId = isCollapsible(section) ? `side-section-${section.key}` : null;
+
+    return h('section', { class: 'side-section', 'data-section-key': section.key || null }, [
+      sectionHeadingView('h2', section, listId),
+      h('ul', { class: 'side-list', id: listId }, links),
+    ]);
+  }
+
+  /**
+   * Mobile accordion section: heading, pinned blocks and collapsed accordion items
+   * @function mobileSectionView
+   * @param {Object} section - Processed section with validItems
+   * @param {Object} [options] - See sideSectionView and relatedView (titles of the links under each answer)
+   * @returns {Object} Node description
+   */
+  function mobileSectionView(section, options = {}) {
+    const listId = isCollapsible(section) ? `acc-section-${section.key}` : null;
+
+    return h('div', { class: 'acc-section', 'data-section-key': section.key || null }, [
+      sectionHeadingView('div', section, listId),
+      h('div', { class: 'acc-section-items', id: listId }, section.validItems.map((entry) => (entry.pinned
+        ? staticBlockView(entry, options)
+        : accordionItemView(entry, options)))),
+    ]);
+  }
+
+  /**
+   * "See also" links under an answer (or "Read next" for the section fallback)
+   * Links point at #id, which main.js turns into a history entry like any other question change.
+   * @function relatedView
+   * @param {Object} entry - Question entry from buildQuestionIndex
+   * @param {Object} [options]
+   * @param {string} [options.locale] - See sideSectionView
+   * @param {string} [options.relatedTitle] - Heading for questions listed in `related`
+   * @param {string} [options.readNextTitle] - Heading for the next question of the section
+   * @returns {Object|null} Node description, null when there is nothing to suggest
+   */
+  function relatedView(entry, { locale, relatedTitle, readNextTitle } = {}) {
+    if (!entry.related?.length) return null;
+
+    const title = entry.readNext ? readNextTitle : relatedTitle;
+
+    return h('div', { class: 'related' }, [
+      title ? h('p', { class: 'related-title' }, [title]) : null,
+      h('ul', { class: 'related-list' }, entry.related.map((item) => h('li', {}, [
+        h('a', {
+          class: 'related-link',
+          href: `#${encodeURIComponent(item.id)}`,
+          'data-question-id': item.id,
+          lang: langAttr(item, locale),
+        }, [item.question]),
+      ]))),
+    ]);
+  }
+
+  function accordionItemView(entry, options = {}) {
+    const { locale } = options;
+    const buttonId = `q-${entry.id}`;
+    const panelId = `p-${entry.id}`;
+
+    return h('div', { class: 'acc-item', 'data-question-id': entry.id, lang: langAttr(entry, locale) }, [
+      h('button', { id: buttonId, class: 'acc-btn', 'aria-expanded': 'false', 'aria-controls': panelId }, [
+        h('span', {}, [entry.question]),
+        h('span', { class: 'chev', 'aria-hidden': 'true' }, ['▾']),
+      ]),
+      // Closed state matches setPanelAccessibilityState(panel, false) in main.js
+      h('div', {
+        class: 'acc-panel',
+        id: panelId,
+        role: 'region',
+        'aria-labelledby': buttonId,
+        'aria-hidden': 'true',
+        'data-open': 'false',
+      }, [
+        h('div', { class: 'acc-body card-surface', tabindex: '-1' }, [
+          { html: formatAnswer(entry.answer) },
+          relatedView(entry, options),
+        ]),
+      ]),
+    ]);
+  }
+
+  function staticBlockView(entry, options = {}) {
+    return h('div', {
+      class: 'acc-body card-surface acc-static',
+      'data-question-id': entry.id,
+      tabindex: '0',
+      role: 'region',
+      lang: langAttr(entry, options.locale),
+    }, [{ html: formatAnswer(entry.answer) }, relatedView(entry, options)]);
+  }
+
+  /**
+   * Every section and answer in order, for the ?view=all reading mode and printing
+   * Socials are listed with their addresses so they still work on paper.
+   * @function allAnswersView
+   * @param {Array} sections - Processed sections with validItems
+   * @param {Object} [options]
+   * @param {string} [options.locale] - See sideSectionView
+   * @param {Array<{label: string, url: string}>} [options.socials=[]] - Channels to list at the end
+   * @param {string} [options.socialsTitle] - Heading of the channel list
+   * @returns {Object} Node description
+   */
+  function allAnswersView(sections, { locale, socials = [], socialsTitle } = {}) {
+    const sectionViews = sections
+      .filter((section) => section.validItems.length)
+      .map((section) => h('section', { class: 'faq-all-section' }, [
+        section.hideHeading ? null : h('h2', { class: 'faq-all-section-title' }, [section.section]),
+        ...section.validItems.map((entry) => h('article', {
+          class: 'faq-all-item',
+          id: `all-${entry.id}`,
+          'data-question-id': entry.id,
+          lang: langAttr(entry, locale),
+        }, [
+          h('h3', { class: 'faq-all-question' }, [entry.question]),
+          h('div', { class: 'answer faq-all-answer' }, [{ html: formatAnswer(entry.answer) }]),
+        ])),
+      ]));
+
+    const channels = socials.length
+      ? h('section', { class: 'faq-all-socials' }, [
+        socialsTitle ? h('h2', { class: 'faq-all-section-title' }, [socialsTitle]) : null,
+        h('ul', {}, socials.map((channel) => h('li', {}, [
+          `${channel.label}: `,
+          h('a', { href: channel.url }, [channel.url]),
+        ]))),
+      ])
+      : null;
+
+    return h('div', { class: 'faq-all-content' }, [...sectionViews, channels]);
+  }
+
+  function sidebarFooterView() {
+    const link = (href, text) => h('a', { href, target: '_blank', rel: 'noopener' }, [text]);
+
+    return h('footer', { class: 'sidebar-footer' }, [
+      h('small', {}, [
+        '© 2025 | DESIGNED BY',
+        h('br'),
+        link('https://www.linkedin.com/in/krzysztof-durczak/', 'KRZYSZTOF DURCZAK'),
+        ' | ',
+        link('https://github.com/OtisRed', 'OTISRED'),
+      ]),
+    ]);
+  }
+
+  /**
+   * Icon link of a socials bar, honouring the channel's per-layout URL
+   * @function socialLinkView
+   * @param {Object} channel - Channel from normalizeSocials
+   * @param {string} layout - 'desktop' or 'mobile'
+   * @returns {Object} Node description
+   */
+  function socialLinkView(channel, layout) {
+    return h('a', {
+      class: 'icon-btn',
+      href: channel.urls[layout] || channel.url,
+      target: '_blank',
+      rel: 'noopener',
+      'aria-label': channel.label,
+      'data-social': channel.name,
+    }, [channel.icon
+      ? h('img', { src: channel.icon, alt: '', 'aria-hidden': 'true', loading: 'lazy' })
+      : channel.label]);
+  }
+
+  /**
+   * Fingerprints what the views render for a set of sections
+   * The pre-render stores it in index.html; main.js only adopts that markup when it matches.
+   * @function renderKey
+   * @param {Array} sections - Processed sections with validItems
+   * @returns {string} 8-digit hex FNV-1a hash
+   */
+  function renderKey(sections) {
+    const source = JSON.stringify([VIEW_VERSION, sections.map((section) => [
+      section.section,
+      Boolean(section.hideHeading),
+      (section.validItems || []).map((entry) => [
+        entry.id, entry.question, entry.answer, entry.pinned, entry.lang,
+        (entry.related || []).map((item) => [item.id, item.question]), entry.readNext,
+      ]),
+    ])]);
+
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < source.length; index += 1) {
+      hash ^= source.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Serializes node descriptions to HTML
+   * @function toHtml
+   * @param {Object|string|Array|null} node - Node description(s)
+   * @returns {string} Markup
+   */
+  function toHtml(node) {
+    if (node === null || node === undefined) return '';
+    if (Array.isArray(node)) return node.map(toHtml).join('');
+    if (typeof node === 'string') return escapeHtml(node);
+    if (typeof node.html === 'string') return node.html;
+
+    const attrs = Object.entries(node.attrs)
+      .filter(([, value]) => value !== null && value !== undefined && value !== false)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+
+    if (VOID_TAGS.has(node.tag)) return `<${node.tag}${attrs}>`;
+    return `<${node.tag}${attrs}>${toHtml(node.children)}</${node.tag}>`;
+  }
+
+  /**
+   * Builds DOM nodes from node descriptions
+   * @function toDom
+   * @param {Object|string|Array|null} node - Node description(s)
+   * @param {Object} options
+   * @param {Document} options.document - Document to create nodes in
+   * @param {function(string): Node} options.html - Turns trusted markup into nodes (main.js passes sanitizeHtml)
+   * @returns {Node} Element or text node, or a DocumentFragment for arrays and markup
+   */
+  function toDom(node, options) {
+    const { document } = options;
+
+    if (Array.isArray(node)) {
+      const fragment = document.createDocumentFragment();
+      node.forEach((child) => {
+        if (child !== null && child !== undefined) fragment.appendChild(toDom(child, options));
+      });
+      return fragment;
+    }
+    if (typeof node === 'string') return document.createTextNode(node);
+    if (typeof node.html === 'string') return options.html(node.html);
+
+    const element = document.createElement(node.tag);
+    Object.entries(node.attrs).forEach(([name, value]) => {
+      if (value !== null && value !== undefined && value !== false) element.setAttribute(name, String(value));
+    });
+    element.appendChild(toDom(node.children, options));
+    return element;
+  }
+
+  return {
+    SAFE_URL_PATTERN,
+    isSafeUrl,
+    formatAnswer,
+    toPlainText,
+    excerpt,
+    escapeHtml,
+    sanitizeHtml,
+    buildQuestionIndex,
+    faqStructuredData,
+    normalizeSocials,
+    h,
+    sideSectionView,
+    mobileSectionView,
+    relatedView,
+    allAnswersView,
+    sidebarFooterView,
+    socialLinkView,
+    renderKey,
+    toHtml,
+    toDom,
+  };
+});
@@ -0,0 +1,465 @@
+/**
+ * @fileoverview FAQ data schema validation (faq-data.<locale>.json, socials.json and events.json)
+ * Shared by the browser app (assets/js/main.js) and the Node check (scripts/validate-faq.js),
+ * so both report the same problems for the same data files.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IntersophiaSchema = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // ===== SCHEMA =====
+  // Key -> expected type; anything not listed is reported as unknown
+  const SECTION_SCHEMA = {
+    section: 'string',
+    hideHeading: 'boolean',
+    items: 'array',
+  };
+  const ITEM_SCHEMA = {
+    id: 'string',
+    q: 'string',
+    a: 'string',
+    pinned: 'boolean',           // Always-expanded block at the top of its section on mobile
+    highlightSocials: 'array',   // Social channel names to glow when the question opens
+    related: 'array',            // Ids of questions listed under the answer ("see also")
+    added: 'string',             // YYYY-MM-DD the question was published ("nowe" badge)
+    updated: 'string',           // YYYY-MM-DD of the last change worth pointing out ("zaktualizowane" badge)
+  };
+  const SOCIAL_SCHEMA = {
+    name: 'string',     // Stable key used by highlightSocials and data-social
+    label: 'string',    // Accessible name
+    url: 'string',
+    icon: 'string',
+    urls: 'object',     // Optional per-layout overrides: { desktop, mobile }
+  };
+  // Texts shown to visitors may be plain or per locale: { pl, en }
+  const EVENTS_SCHEMA = {
+    timeZone: 'string',
+    location: ['string', 'object'],  // Default for meetings without their own
+    events: 'array',
+  };
+  const EVENT_SCHEMA = {
+    id: 'string',
+    title: ['string', 'object'],
+    start: 'string',                 // Wall-clock time in timeZone: YYYY-MM-DDTHH:MM
+    end: 'string',
+    location: ['string', 'object'],
+    description: ['string', 'object'],
+    repeat: 'object',
+    skip: 'array',                   // YYYY-MM-DD dates without a meeting
+    topics: 'object',                // YYYY-MM-DD -> topic of that meeting
+  };
+  const REPEAT_SCHEMA = {
+    freq: 'string',
+    interval: 'number',
+    until: 'string',                 // YYYY-MM-DD, inclusive
+    count: 'number',
+  };
+  const REQUIRED_SECTION_KEYS = ['section', 'items'];
+  const REQUIRED_ITEM_KEYS = ['id', 'q', 'a'];
+  const REQUIRED_SOCIAL_KEYS = ['name', 'label', 'url', 'icon'];
+  const REQUIRED_EVENTS_KEYS = ['timeZone', 'events'];
+  const REQUIRED_EVENT_KEYS = ['id', 'title', 'start', 'end'];
+  const SOCIAL_LAYOUTS = ['desktop', 'mobile'];
+  const REPEAT_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+  const LOCAL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+  const LOCAL_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  // Ids end up in URLs (#id) and element ids (q-id, p-id)
+  const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+  /**
+   * Validates a parsed faq-data.<locale>.json and collects every problem found
+   * @function validateFaqData
+   * @param {*} data - Parsed JSON
+   * @param {Object} [options]
+   * @param {Iterable<string>} [options.socials] - Known social channel names; highlightSocials is checked against them when given
+   * @param {Iterable<string>} [options.baseIds] - Ids from the base-language file; a translation is checked against them when given
+   * @returns {{issues: Array<Object>, errors: number, warnings: number, ok: boolean}} Report
+   * @example
+   * const report = validateFaqData(data, { socials: ['facebook', 'messenger', 'onenote'] });
+   * report.issues.forEach((issue) => console.warn(formatIssue(issue)));
+   */
+  function validateFaqData(data, { socials, baseIds } = {}) {
+    const knownSocials = socials ? new Set(Array.from(socials, (name) => String(name).toLowerCase())) : null;
+    const knownIds = baseIds ? new Set(baseIds) : null;
+    const issues = [];
+    const seenIds = new Map(); // id -> location of first use
+    const relatedRefs = [];    // [id, location] checked once every id is known
+
+    const report = (severity, location, message) => {
+      issues.push({ severity, ...location, message });
+    };
+
+    if (!Array.isArray(data)) {
+      report('error', { path: '$' }, 'FAQ musi być tablicą sekcji');
+      return summarize(issues);
+    }
+
+    data.forEach((section, sectionIndex) => {
+      const sectionLocation = {
+        path: `$[${sectionIndex}]`,
+        section: sectionIndex,
+        sectionTitle: typeof section?.section === 'string' ? section.section : '',
+      };
+
+      if (!isPlainObject(section)) {
+        report('error', sectionLocation, 'sekcja musi być obiektem');
+        return;
+      }
+
+      checkKeys(section, SECTION_SCHEMA, REQUIRED_SECTION_KEYS, sectionLocation, report);
+
+      if (typeof section.section === 'string' && !section.section.trim()) {
+        report('error', sectionLocation, 'pusty tytuł sekcji ("section")');
+      }
+
+      if (!Array.isArray(section.items)) return;
+      if (!section.items.length) report('warning', sectionLocation, 'sekcja nie ma żadnych pytań');
+
+      section.items.forEach((item, itemIndex) => {
+        const itemLocation = {
+          ...sectionLocation,
+          path: `${sectionLocation.path}.items[${itemIndex}]`,
+          item: itemIndex,
+          id: typeof item?.id === 'string' ? item.id : '',
+        };
+
+        if (!isPlainObject(item)) {
+          report('error', itemLocation, 'pytanie musi być obiektem');
+          return;
+        }
+
+        checkKeys(item, ITEM_SCHEMA, REQUIRED_ITEM_KEYS, itemLocation, report);
+
+        ['id', 'q', 'a'].forEach((key) => {
+          if (typeof item[key] === 'string' && !item[key].trim()) {
+            report('error', itemLocation, `puste pole "${key}"`);
+          }
+        });
+
+        if (Array.isArray(item.highlightSocials)) {
+          item.highlightSocials.forEach((name) => {
+            if (typeof name !== 'string') {
+              report('error', itemLocation, '"highlightSocials" może zawierać tylko nazwy kanałów (tekst)');
+            } else if (knownSocials && !knownSocials.has(name.toLowerCase())) {
+              report('error', itemLocation, `"highlightSocials" wskazuje nieznany kanał "${name}"`);
+            }
+          });
+        }
+
+        if (Array.isArray(item.related)) {
+          item.related.forEach((id) => {
+            if (typeof id !== 'string') {
+              report('error', itemLocation, '"related" może zawierać tylko id pytań (tekst)');
+            } else if (id === item.id) {
+              report('warning', itemLocation, `"related" wskazuje to samo pytanie "${id}"`);
+            } else {
+              relatedRefs.push([id, itemLocation]);
+            }
+          });
+        }
+
+        ['added', 'updated'].forEach((key) => {
+          if (typeof item[key] === 'string' && !isLocalDate(item[key])) {
+            report('error', itemLocation, `"${key}" musi być datą w formacie RRRR-MM-DD`);
+          }
+        });
+        if (isLocalDate(item.added) && isLocalDate(item.updated) && item.updated < item.added) {
+          report('warning', itemLocation, '"updated" jest wcześniejsze niż "added"');
+        }
+
+        if (typeof item.id !== 'string' || !item.id.trim()) return;
+
+        if (!ID_PATTERN.test(item.id)) {
+          report('warning', itemLocation, `id "${item.id}" powinno składać się z małych liter, cyfr i myślników`);
+        }
+
+        if (knownIds && !knownIds.has(item.id)) {
+          report('warning', itemLocation, `id "${item.id}" nie występuje w pliku bazowym – tłumaczenie zostanie pominięte`);
+        }
+
+        const firstUse = seenIds.get(item.id);
+        if (firstUse) {
+          report('error', itemLocation, `zduplikowane id "${item.id}" (pierwsze użycie: ${describeLocation(firstUse)})`);
+        } else {
+          seenIds.set(item.id, itemLocation);
+        }
+      });
+    });
+
+    // Translations take `related` from the base file, so their references are checked against it
+    relatedRefs.forEach(([id, location]) => {
+      if (!(knownIds ?? seenIds).has(id)) report('error', location, `"related" wskazuje nieistniejące pytanie "${id}"`);
+    });
+
+    if (knownIds) {
+      knownIds.forEach((id) => {
+        if (!seenIds.has(id)) report('warning', { path: '$' }, `brak tłumaczenia pytania "${id}" – zostanie pokazane w języku bazowym`);
+      });
+    }
+
+    return summarize(issues);
+  }
+
+  /**
+   * Validates parsed socials.json (the channel list behind both socials bars)
+   * @function validateSocials
+   * @param {*} data - Parsed JSON
+   * @returns {{issues: Array<Object>, errors: number, warnings: number, ok: boolean}} Report
+   */
+  function validateSocials(data) {
+    const issues = [];
+    const seenNames = new Set();
+
+    const report = (severity, location, message) => {
+      issues.push({ severity, ...location, message });
+    };
+
+    if (!Array.isArray(data)) {
+      report('error', { path: '$' }, 'lista kanałów musi być tablicą');
+      return summarize(issues);
+    }
+
+    data.forEach((channel, channelIndex) => {
+      const location = {
+        path: `$[${channelIndex}]`,
+        channel: channelIndex,
+        id: typeof channel?.name === 'string' ? channel.name : '',
+      };
+
+      if (!isPlainObject(channel)) {
+        report('error', location, 'kanał musi być obiektem');
+        return;
+      }
+
+      checkKeys(channel, SOCIAL_SCHEMA, REQUIRED_SOCIAL_KEYS, location, report);
+
+      if (typeof channel.name === 'string') {
+        if (!ID_PATTERN.test(channel.name)) {
+          report('error', location, `nazwa "${channel.name}" powinna składać się z małych liter, cyfr i myślników`);
+        } else if (seenNames.has(channel.name)) {
+          report('error', location, `zduplikowana nazwa kanału "${channel.name}"`);
+        }
+        seenNames.add(channel.name);
+      }
+
+      const urls = [['url', channel.url]];
+      if (isPlainObject(channel.urls)) {
+        Object.entries(channel.urls).forEach(([layout, url]) => {
+          if (!SOCIAL_LAYOUTS.includes(layout)) {
+            report('warning', location, `nieznany widok "${layout}" w "urls" (dozwolone: ${SOCIAL_LAYOUTS.join(', ')})`);
+          }
+          urls.push([`urls.${layout}`, url]);
+        });
+      }
+
+      urls.forEach(([key, url]) => {
+        if (url !== undefined && (typeof url !== 'string' || !/^https?:\/\//i.test(url))) {
+          report('error', location, `"${key}" musi być adresem http(s)`);
+        }
+      });
+    });
+
+    return summarize(issues);
+  }
+
+  /**
+   * Validates parsed events.json (meetings behind the "next meeting" card)
+   * @function validateEvents
+   * @param {*} data - Parsed JSON
+   * @param {Object} [options]
+   * @param {Iterable<string>} [options.timeZones] - Supported time zones; timeZone is checked against them when given
+   * @returns {{issues: Array<Object>, errors: number, warnings: number, ok: boolean}} Report
+   */
+  function validateEvents(data, { timeZones } = {}) {
+    const knownZones = timeZones ? new Set(timeZones) : null;
+    const issues = [];
+    const seenIds = new Set();
+
+    const report = (severity, location, message) => {
+      issues.push({ severity, ...location, message });
+    };
+
+    if (!isPlainObject(data)) {
+      report('error', { path: '$' }, 'plik wydarzeń musi być obiektem { timeZone, events }');
+      return summarize(issues);
+    }
+
+    checkKeys(data, EVENTS_SCHEMA, REQUIRED_EVENTS_KEYS, { path: '$' }, report);
+    if (knownZones && typeof data.timeZone === 'string' && !knownZones.has(data.timeZone)) {
+      report('error', { path: '$' }, `nieobsługiwana strefa czasowa "${data.timeZone}" (dozwolone: ${[...knownZones].join(', ')})`);
+    }
+    if (!Array.isArray(data.events)) return summarize(issues);
+
+    data.events.forEach((event, eventIndex) => {
+      const location = {
+        path: `$.events[${eventIndex}]`,
+        event: eventIndex,
+        id: typeof event?.id === 'string' ? event.id : '',
+      };
+
+      if (!isPlainObject(event)) {
+        report('error', location, 'wydarzenie musi być obiektem');
+        return;
+      }
+
+      checkKeys(event, EVENT_SCHEMA, REQUIRED_EVENT_KEYS, location, report);
+
+      if (typeof event.id === 'string') {
+        if (!ID_PATTERN.test(event.id)) {
+          report('error', location, `id "${event.id}" powinno składać się z małych liter, cyfr i myślników`);
+        } else if (seenIds.has(event.id)) {
+          report('error', location, `zduplikowane id wydarzenia "${event.id}"`);
+        }
+        seenIds.add(event.id);
+      }
+
+      ['start', 'end'].forEach((key) => {
+        if (typeof event[key] === 'string' && !isLocalDateTime(event[key])) {
+          report('error', location, `"${key}" musi być datą i godziną w formacie RRRR-MM-DDTGG:MM`);
+        }
+      });
+      if (isLocalDateTime(event.start) && isLocalDateTime(event.end) && event.end <= event.start) {
+        report('error', location, '"end" musi być późniejsze niż "start"');
+      }
+
+      if (event.location === undefined && data.location === undefined) {
+        report('warning', location, 'brak miejsca spotkania ("location" wydarzenia ani pliku)');
+      }
+
+      if (isPlainObject(event.repeat)) {
+        const { repeat } = event;
+        checkKeys(repeat, REPEAT_SCHEMA, ['freq'], location, report);
+
+        if (typeof repeat.freq === 'string' && !REPEAT_FREQUENCIES.includes(repeat.freq)) {
+          report('error', location, `nieznana częstotliwość "${repeat.freq}" (dozwolone: ${REPEAT_FREQUENCIES.join(', ')})`);
+        }
+        ['interval', 'count'].forEach((key) => {
+          if (typeof repeat[key] === 'number' && !(Number.isInteger(repeat[key]) && repeat[key] > 0)) {
+            report('error', location, `"repeat.${key}" musi być dodatnią liczbą całkowitą`);
+          }
+        });
+        if (typeof repeat.until === 'string' && !isLocalDate(repeat.until)) {
+          report('error', location, '"repeat.until" musi być datą w formacie RRRR-MM-DD');
+        }
+        if (repeat.until !== undefined && repeat.count !== undefined) {
+          report('error', location, '"repeat" może mieć "until" albo "count", nie oba naraz');
+        }
+      } else if (event.skip !== undefined) {
+        report('warning', location, '"skip" ma znaczenie tylko dla wydarzeń z "repeat"');
+      }
+
+      const dates = [
+        ...(Array.isArray(event.skip) ? event.skip.map((date) => ['skip', date]) : []),
+        ...(isPlainObject(event.topics) ? Object.keys(event.topics).map((date) => ['topics', date]) : []),
+      ];
+      dates.forEach(([key, date]) => {
+        if (!isLocalDate(date)) report('error', location, `niepoprawna data "${date}" w "${key}" (format RRRR-MM-DD)`);
+      });
+    });
+
+    return summarize(issues);
+  }
+
+  function checkKeys(object, schema, required, location, report) {
+    required.forEach((key) => {
+      if (!(key in object)) report('error', location, `brak wymaganego pola "${key}"`);
+    });
+
+    Object.keys(object).forEach((key) => {
+      const expected = schema[key];
+      if (!expected) {
+        report('warning', location, `nieznany klucz "${key}"`);
+        return;
+      }
+      const types = [].concat(expected);
+      if (!types.includes(typeOf(object[key]))) {
+        report('error', location, `pole "${key}" powinno być typu ${types.join(' lub ')}, jest ${typeOf(object[key])}`);
+      }
+    });
+  }
+
+  // Also rejects dates that do not exist, e.g. 2026-02-30
+  function isLocalDate(value) {
+    if (typeof value !== 'string' || !LOCAL_DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+  }
+
+  function isLocalDateTime(value) {
+    if (typeof value !== 'string' || !LOCAL_DATE_TIME_PATTERN.test(value)) return false;
+    const [hour, minute] = value.slice(11).split(':').map(Number);
+    return isLocalDate(value.slice(0, 10)) && hour < 24 && minute < 60;
+  }
+
+  function summarize(issues) {
+    const errors = issues.filter((issue) => issue.severity === 'error').length;
+    return { issues, errors, warnings: issues.length - errors, ok: errors === 0 };
+  }
+
+  /**
+   * Human-readable, 1-based location of an issue
+   * @function describeLocation
+   * @param {Object} location - Issue or location object
+   * @returns {string} e.g. 'sekcja 3 „Konkrety”, pytanie 2 (o-czym-rozmawiacie)'
+   */
+  function describeLocation(location) {
+    if (location.channel !== undefined) {
+      return `kanał ${location.channel + 1}${location.id ? ` (${location.id})` : ''}`;
+    }
+    if (location.event !== undefined) {
+      return `wydarzenie ${location.event + 1}${location.id ? ` (${location.id})` : ''}`;
+    }
+    if (location.section === undefined) return location.path;
+
+    let text = `sekcja ${location.section + 1}`;
+    if (location.sectionTitle) text += ` „${location.sectionTitle}”`;
+    if (location.item !== undefined) {
+      text += `, pytanie ${location.item + 1}`;
+      if (location.id) text += ` (${location.id})`;
+    }
+    return text;
+  }
+
+  /**
+   * Formats an issue as a single report line
+   * @function formatIssue
+   * @param {Object} issue - Issue from validateFaqData
+   * @returns {string} e.g. '[błąd] sekcja 2 „Wpadnij do nas”, pytanie 1 (x): puste pole "a"'
+   */
+  function formatIssue(issue) {
+    const label = issue.severity === 'error' ? 'błąd' : 'ostrzeżenie';
+    const where = issue.path === '$' ? '' : `${describeLocation(issue)}: `;
+    return `[${label}] ${where}${issue.message}`;
+  }
+
+  function isPlainObject(value) {
+    return typeOf(value) === 'object';
+  }
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  return {
+    SECTION_SCHEMA,
+    ITEM_SCHEMA,
+    SOCIAL_SCHEMA,
+    EVENT_SCHEMA,
+    ID_PATTERN,
+    validateFaqData,
+    validateSocials,
+    validateEvents,
+    describeLocation,
+    formatIssue,
+  };
+});
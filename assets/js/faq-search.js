@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Intersophia search matching
+ * Case- and diacritic-insensitive matching behind the search box in assets/js/main.js:
+ * folding Polish text, splitting queries into terms, ranking questions and finding the
+ * ranges to highlight. Works on plain strings only, so it runs under Node as well.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IntersophiaSearch = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Characters that Unicode NFD does not decompose but should still fold
+  const FOLD_OVERRIDES = { 'ł': 'l', 'Ł': 'l' };
+
+  const DEFAULT_WEIGHTS = { title: 10, wordStart: 2, body: 1 };
+
+  /**
+   * Folds text for case- and diacritic-insensitive matching
+   * Keeps a map back to the original string so matches can be highlighted in place
+   * @function foldText
+   * @param {string} text - Source text
+   * @returns {{folded: string, map: number[]}} Folded text and original index per folded character
+   * @example
+   * foldText('Złapać').folded; // 'zlapac'
+   */
+  function foldText(text) {
+    const source = String(text ?? '');
+    let folded = '';
+    const map = [];
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      const foldedChar = FOLD_OVERRIDES[char]
+        || char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+      for (let j = 0; j < foldedChar.length; j++) {
+        folded += foldedChar[j];
+        map.push(i);
+      }
+    }
+
+    return { folded, map };
+  }
+
+  /**
+   * Splits a raw query into folded search terms
+   * @function tokenizeQuery
+   * @param {string} query - Raw user input
+   * @returns {string[]} Unique folded terms
+   */
+  function tokenizeQuery(query) {
+    const terms = foldText(query).folded.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return Array.from(new Set(terms));
+  }
+
+  /**
+   * Scores a question against search terms
+   * Every term has to match somewhere; title hits outweigh answer hits
+   * @function scoreEntry
+   * @param {{searchIndex: {question: string, answer: string}}} entry - Question with folded question and answer text
+   * @param {string[]} terms - Folded search terms
+   * @param {Object} [weights] - Points per term
+   * @param {number} [weights.title=10] - Term found in the question
+   * @param {number} [weights.wordStart=2] - Extra when that match starts a word
+   * @param {number} [weights.body=1] - Term found in the answer
+   * @returns {number} Score, 0 when the entry does not match
+   */
+  function scoreEntry(entry, terms, weights = DEFAULT_WEIGHTS) {
+    const { question, answer } = entry.searchIndex;
+    let score = 0;
+
+    for (const term of terms) {
+      const titleIndex = question.indexOf(term);
+      const bodyIndex = answer.indexOf(term);
+      if (titleIndex === -1 && bodyIndex === -1) return 0;
+
+      if (titleIndex !== -1) {
+        score += weights.title;
+        if (titleIndex === 0 || /[^\p{L}\p{N}]/u.test(question[titleIndex - 1])) {
+          score += weights.wordStart;
+        }
+      }
+      if (bodyIndex !== -1) score += weights.body;
+    }
+
+    return score;
+  }
+
+  /**
+   * Finds merged [start, end) ranges of term matches in original text
+   * @function findMatchRanges
+   * @param {string} text - Original text
+   * @param {string[]} terms - Folded search terms
+   * @returns {Array<[number, number]>} Sorted, non-overlapping ranges
+   */
+  function findMatchRanges(text, terms) {
+    const source = String(text ?? '');
+    const { folded, map } = foldText(source);
+    const ranges = [];
+
+    terms.forEach((term) => {
+      let index = folded.indexOf(term);
+      while (index !== -1) {
+        // Combining marks fold to nothing: the range runs up to the next folded character
+        const next = map[index + term.length] ?? source.length;
+        ranges.push([map[index], Math.max(map[index + term.length - 1] + 1, next)]);
+        index = folded.indexOf(term, index + term.length);
+      }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range);
+      }
+      return merged;
+    }, []);
+  }
+
+  return {
+    foldText,
+    tokenizeQuery,
+    scoreEntry,
+    findMatchRanges,
+  };
+});
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Intersophia UI translations
+ * Interface strings and locale helpers shared by the browser app (assets/js/main.js)
+ * and Node scripts. FAQ content itself lives in assets/faq-data.<locale>.json.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IntersophiaI18n = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Polish is the base language: its data file defines structure and fills missing translations
+  const DEFAULT_LOCALE = 'pl';
+
+  const LOCALES = {
+    pl: { name: 'Polski', short: 'PL' },
+    en: { name: 'English', short: 'EN' },
+  };
+
+  // Plural strings use Intl.PluralRules categories (one, few, many, other)
+  const STRINGS = {
+    pl: {
+      'meta.description': 'Prosty landing page FAQ w stylu OneNote, responsywny i gotowy na GitHub Pages.',
+      'layout.desktop': 'Widok szeroki',
+      'layout.mobile': 'Widok mobilny',
+      'layout.sidebar': 'Nawigacja po pytaniach',
+      'layout.socials': 'Szybkie linki',
+      'logo.alt': 'Intersophia — logotyp',
+      'locale.label': 'Język',
+      'theme.label': 'Motyw',
+      'theme.light': 'Jasny motyw',
+      'theme.dark': 'Ciemny motyw',
+      'theme.auto': 'Motyw systemowy',
+      'keyboard.hint': '⌨️ Użyj strzałek, aby nawigować',
+      'loading.label': 'Wczytywanie treści',
+      'empty.questions': 'Brak pytań do wyświetlenia.',
+      'search.label': 'Szukaj w pytaniach i odpowiedziach',
+      'search.placeholder': 'Szukaj… np. gdzie, kiedy',
+      'search.results': 'Wyniki wyszukiwania',
+      'search.status': {
+        one: 'Znaleziono {count} pytanie',
+        few: 'Znaleziono {count} pytania',
+        many: 'Znaleziono {count} pytań',
+        other: 'Znaleziono {count} pytania',
+      },
+      'search.empty': 'Brak wyników dla „{query}”.',
+      'search.emptyHint': 'Nie ma tu odpowiedzi na Twoje pytanie? Napisz do nas:',
+      'error.title': 'Nie udało się wczytać treści',
+      'error.message': 'Mamy problem z wczytaniem FAQ. Sprawdź połączenie i spróbuj ponownie.',
+      'error.retry': 'Spróbuj ponownie',
+      'error.details': 'Szczegóły techniczne',
+      'cached.message': 'Nie udało się pobrać aktualnej treści – pokazujemy wersję zapisaną {date}.',
+      'cached.retry': 'Spróbuj ponownie',
+      'diagnostics.label': 'Diagnostyka treści',
+      'diagnostics.title': 'Diagnostyka treści – błędy: {errors}, ostrzeżenia: {warnings}',
+      'diagnostics.close': 'Zamknij diagnostykę',
+      'accordion.controls': 'Rozwijanie odpowiedzi',
+      'accordion.expandAll': 'Rozwiń wszystkie',
+      'accordion.collapseAll': 'Zwiń wszystkie',
+      'accordion.multiOpen': 'Kilka odpowiedzi naraz',
+      'viewAll.open': 'Wszystkie odpowiedzi',
+      'viewAll.close': '← Wróć do pytań',
+      'viewAll.label': 'Wszystkie pytania i odpowiedzi',
+      'viewAll.print': 'Drukuj',
+      'changes.open': 'Co nowego',
+      'changes.title': 'Co się zmieniło',
+      'changes.intro': 'Ostatnio dodane i zaktualizowane pytania, od najnowszych.',
+      'changes.introSince': 'Ostatnio dodane i zaktualizowane pytania, od najnowszych. Twoja poprzednia wizyta: {date}.',
+      'changes.empty': 'Na razie nie ma tu żadnych zmian.',
+      'changes.new': 'Dodano {date}',
+      'changes.updated': 'Zaktualizowano {date}',
+      'changes.badge.new': 'nowe',
+      'changes.badge.updated': 'zaktualizowane',
+      'changes.notice': {
+        one: 'Od Twojej ostatniej wizyty zmieniło się {count} pytanie.',
+        few: 'Od Twojej ostatniej wizyty zmieniły się {count} pytania.',
+        many: 'Od Twojej ostatniej wizyty zmieniło się {count} pytań.',
+        other: 'Od Twojej ostatniej wizyty zmieniły się {count} pytania.',
+      },
+      'changes.show': 'Zobacz zmiany',
+      'events.title': {
+        one: 'Najbliższe spotkanie',
+        few: 'Najbliższe spotkania',
+        many: 'Najbliższe spotkania',
+        other: 'Najbliższe spotkania',
+      },
+      'events.addToCalendar': 'Dodaj do kalendarza',
+      'events.addLabel': 'Dodaj do kalendarza: {title}',
+      'related.title': 'Zobacz też',
+      'related.next': 'Czytaj dalej',
+      'feedback.label': 'Ocena odpowiedzi',
+      'feedback.question': 'Czy ta odpowiedź była pomocna?',
+      'feedback.yes': 'Tak, pomocna',
+      'feedback.no': 'Nie, niepomocna',
+      'feedback.commentLabel': 'Komentarz (opcjonalnie)',
+      'feedback.commentPlaceholder': 'Czego zabrakło? (opcjonalnie)',
+      'feedback.send': 'Wyślij',
+      'feedback.thanks': 'Dziękujemy za opinię!',
+      'feedback.failed': 'Nie udało się wysłać opinii. Spróbuj ponownie.',
+      'share.button': 'Udostępnij',
+      'share.label': 'Udostępnij link do pytania: {question}',
+      'share.copied': 'Skopiowano link do pytania.',
+      'share.failed': 'Nie udało się skopiować linku: {url}',
+      'pager.label': 'Poprzednie i następne pytanie',
+      'pager.previous': '← Poprzednie pytanie',
+      'pager.next': 'Następne pytanie →',
+      'editor.label': 'Edytor treści',
+      'editor.title': 'Edytor treści – {file}',
+      'editor.preview': 'Podgląd',
+      'editor.valid': 'Brak problemów',
+      'editor.problems': 'Błędy: {errors}, ostrzeżenia: {warnings}',
+      'editor.saved': 'szkic zapisany {date}',
+      'editor.notSaved': 'szkic nie jest zapisywany w tej przeglądarce',
+      'editor.restored': 'Przywrócono szkic zapisany {date}.',
+      'editor.download': 'Pobierz JSON',
+      'editor.copy': 'Kopiuj JSON',
+      'editor.copied': 'Skopiowano JSON do schowka.',
+      'editor.copyFailed': 'Nie udało się skopiować JSON – użyj „Pobierz JSON”.',
+      'editor.exportWithErrors': 'Treść ma błędy ({errors}) – pytania z błędami mogą się nie wyświetlić. Zapisać mimo to?',
+      'editor.discard': 'Odrzuć szkic',
+      'editor.discardConfirm': 'Odrzucić wszystkie zmiany i wrócić do opublikowanej treści?',
+      'editor.exit': 'Zamknij edytor',
+      'editor.addSection': '+ Dodaj sekcję',
+      'editor.addItem': '+ Dodaj pytanie',
+      'editor.sectionLegend': 'Sekcja {number}',
+      'editor.sectionTitle': 'Tytuł sekcji',
+      'editor.hideHeading': 'Ukryj nagłówek sekcji',
+      'editor.itemLegend': 'Pytanie {number}',
+      'editor.question': 'Pytanie',
+      'editor.id': 'Identyfikator (adres pytania, np. #kiedy-sie-spotykacie)',
+      'editor.answer': 'Odpowiedź',
+      'editor.answerHint': 'Pusta linia – nowy akapit, „- ” na początku linii – lista, **pogrubienie**, [tekst](https://…) – link.',
+      'editor.pinned': 'Zawsze rozwinięte w widoku mobilnym',
+      'editor.added': 'Dodano (znaczek „nowe”)',
+      'editor.updated': 'Zaktualizowano (znaczek „zaktualizowane”)',
+      'editor.updatedHint': 'Ustaw przy zmianie, o której członkowie powinni wiedzieć, np. nowej godzinie spotkań.',
+      'editor.untitled': '(bez tytułu)',
+      'editor.moveUp': 'Przesuń w górę',
+      'editor.moveDown': 'Przesuń w dół',
+      'editor.delete': 'Usuń',
+      'editor.deleteSection': 'Usunąć sekcję „{title}” razem z pytaniami ({count})?',
+      'editor.deleteItem': 'Usunąć pytanie „{title}”?',
+      'editor.idEmpty': 'Podaj identyfikator.',
+      'editor.idPattern': 'Tylko małe litery bez polskich znaków, cyfry i myślniki.',
+      'editor.idDuplicate': 'Inne pytanie ma już ten identyfikator.',
+      'update.message': 'Dostępna jest nowa wersja treści FAQ.',
+      'update.apply': 'Pokaż',
+      'notice.dismiss': 'Zamknij powiadomienie',
+    },
+    en: {
+      'meta.description': 'Intersophia student society FAQ: who we are, when and where we meet and how to join.',
+      'layout.desktop': 'Wide view',
+      'layout.mobile': 'Mobile view',
+      'layout.sidebar': 'Question navigation',
+      'layout.socials': 'Quick links',
+      'logo.alt': 'Intersophia — logo',
+      'locale.label': 'Language',
+      'theme.label': 'Theme',
+      'theme.light': 'Light theme',
+      'theme.dark': 'Dark theme',
+      'theme.auto': 'System theme',
+      'keyboard.hint': '⌨️ Use arrow keys to navigate',
+      'loading.label': 'Loading content',
+      'empty.questions': 'No questions to show.',
+      'search.label': 'Search questions and answers',
+      'search.placeholder': 'Search… e.g. where, when',
+      'search.results': 'Search results',
+      'search.status': {
+        one: '{count} question found',
+        other: '{count} questions found',
+      },
+      'search.empty': 'No results for “{query}”.',
+      'search.emptyHint': 'Can’t find your question? Message us:',
+      'error.title': 'Unable to load content',
+      'error.message': 'We’re having trouble loading the FAQ content. Please check your connection and try again.',
+      'error.retry': 'Retry',
+      'error.details': 'Technical details',
+      'cached.message': 'Couldn’t load the latest content – showing the copy saved on {date}.',
+      'cached.retry': 'Try again',
+      'diagnostics.label': 'Content diagnostics',
+      'diagnostics.title': 'Content diagnostics – errors: {errors}, warnings: {warnings}',
+      'diagnostics.close': 'Close diagnostics',
+      'accordion.controls': 'Expand answers',
+      'accordion.expandAll': 'Expand all',
+      'accordion.collapseAll': 'Collapse all',
+      'accordion.multiOpen': 'Several answers at once',
+      'viewAll.open': 'All answers',
+      'viewAll.close': '← Back to questions',
+      'viewAll.label': 'All questions and answers',
+      'viewAll.print': 'Print',
+      'changes.open': 'What’s new',
+      'changes.title': 'What’s changed',
+      'changes.intro': 'Recently added and updated questions, newest first.',
+      'changes.introSince': 'Recently added and updated questions, newest first. Your previous visit: {date}.',
+      'changes.empty': 'Nothing has changed yet.',
+      'changes.new': 'Added {date}',
+      'changes.updated': 'Updated {date}',
+      'changes.badge.new': 'new',
+      'changes.badge.updated': 'updated',
+      'changes.notice': {
+        one: '{count} question has changed since your last visit.',
+        other: '{count} questions have changed since your last visit.',
+      },
+      'changes.show': 'See what’s changed',
+      'events.title': {
+        one: 'Next meeting',
+        other: 'Upcoming meetings',
+      },
+      'events.addToCalendar': 'Add to calendar',
+      'events.addLabel': 'Add to calendar: {title}',
+      'related.title': 'See also',
+      'related.next': 'Read next',
+      'feedback.label': 'Rate this answer',
+      'feedback.question': 'Was this answer helpful?',
+      'feedback.yes': 'Yes, helpful',
+      'feedback.no': 'No, not helpful',
+      'feedback.commentLabel': 'Comment (optional)',
+      'feedback.commentPlaceholder': 'What was missing? (optional)',
+      'feedback.send': 'Send',
+      'feedback.thanks': 'Thanks for your feedback!',
+      'feedback.failed': 'Couldn’t send your feedback. Please try again.',
+      'share.button': 'Share',
+      'share.label': 'Share a link to: {question}',
+      'share.copied': 'Link to the question copied.',
+      'share.failed': 'Couldn’t copy the link: {url}',
+      'pager.label': 'Previous and next question',
+      'pager.previous': '← Previous question',
+      'pager.next': 'Next question →',
+      'editor.label': 'Content editor',
+      'editor.title': 'Content editor – {file}',
+      'editor.preview': 'Preview',
+      'editor.valid': 'No problems',
+      'editor.problems': 'Errors: {errors}, warnings: {warnings}',
+      'editor.saved': 'draft saved {date}',
+      'editor.notSaved': 'drafts can’t be saved in this browser',
+      'editor.restored': 'Restored the draft saved {date}.',
+      'editor.download': 'Download JSON',
+      'editor.copy': 'Copy JSON',
+      'editor.copied': 'JSON copied to the clipboard.',
+      'editor.copyFailed': 'Couldn’t copy the JSON – use “Download JSON”.',
+      'editor.exportWithErrors': 'The content has errors ({errors}) – questions with errors may not be shown. Save anyway?',
+      'editor.discard': 'Discard draft',
+      'editor.discardConfirm': 'Discard all changes and go back to the published content?',
+      'editor.exit': 'Close editor',
+      'editor.addSection': '+ Add section',
+      'editor.addItem': '+ Add question',
+      'editor.sectionLegend': 'Section {number}',
+      'editor.sectionTitle': 'Section title',
+      'editor.hideHeading': 'Hide section heading',
+      'editor.itemLegend': 'Question {number}',
+      'editor.question': 'Question',
+      'editor.id': 'Id (the question’s address, e.g. #when-do-you-meet)',
+      'editor.answer': 'Answer',
+      'editor.answerHint': 'Blank line – new paragraph, “- ” at the start of a line – list, **bold**, [text](https://…) – link.',
+      'editor.pinned': 'Always expanded in the mobile view',
+      'editor.added': 'Added (“new” badge)',
+      'editor.updated': 'Updated (“updated” badge)',
+      'editor.updatedHint': 'Set it for changes members should notice, e.g. a new meeting time.',
+      'editor.untitled': '(untitled)',
+      'editor.moveUp': 'Move up',
+      'editor.moveDown': 'Move down',
+      'editor.delete': 'Delete',
+      'editor.deleteSection': 'Delete the section “{title}” and its questions ({count})?',
+      'editor.deleteItem': 'Delete the question “{title}”?',
+      'editor.idEmpty': 'Enter an id.',
+      'editor.idPattern': 'Only lower-case letters without accents, digits and hyphens.',
+      'editor.idDuplicate': 'Another question already has this id.',
+      'update.message': 'Updated FAQ content is available.',
+      'update.apply': 'Show',
+      'notice.dismiss': 'Dismiss notice',
+    },
+  };
+
+  /**
+   * Translates a UI string, falling back to the default locale and then to the key
+   * @function translate
+   * @param {string} locale - Locale code, e.g. 'en'
+   * @param {string} key - String key, e.g. 'search.status'
+   * @param {Object} [params={}] - Placeholder values; `count` also selects the plural form
+   * @returns {string} Translated text
+   * @example
+   * translate('pl', 'search.status', { count: 5 }); // 'Znaleziono 5 pytań'
+   */
+  function translate(locale, key, params = {}) {
+    const value = STRINGS[locale]?.[key] ?? STRINGS[DEFAULT_LOCALE][key] ?? key;
+    const template = typeof value === 'object'
+      ? value[new Intl.PluralRules(locale).select(Number(params.count) || 0)] ?? value.other
+      : value;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * Picks the first supported locale from a list of candidates (BCP 47 tags)
+   * @function resolveLocale
+   * @param {Array<string>} candidates - e.g. [savedChoice, ...navigator.languages]
+   * @returns {string} Supported locale code, DEFAULT_LOCALE when nothing matches
+   */
+  function resolveLocale(candidates) {
+    for (const candidate of candidates) {
+      const code = String(candidate || '').toLowerCase().split(/[-_]/)[0];
+      if (LOCALES[code]) return code;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  return {
+    DEFAULT_LOCALE,
+    LOCALES,
+    STRINGS,
+    translate,
+    resolveLocale,
+  };
+});
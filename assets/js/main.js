@@ -40,36 +40,144 @@
     // Scroll offsets
     MOBILE_STICKY_OFFSET: 32,
     
-    // Static accordion items (always expanded)
-    STATIC_ACCORDION_IDS: new Set(['kim-jestesmy']),
-    
-    // Social media icon glow mappings
-    SOCIAL_GLOW_MAPPING: new Map([
-      ['jak-sie-dowiem-o-spotkaniach', [0, 1]],  // Facebook + Messenger
-      ['jak-moge-zlapac-kontakt', [1]],          // Messenger
-      ['do-czego-uzywacie-onenote', [2]],        // OneNote
-    ]),
-    
     // UX Enhancement flags
     KEYBOARD_NAVIGATION_ENABLED: true,
     FOCUS_ENHANCEMENT_ENABLED: true,
     PROGRESSIVE_ENHANCEMENT_ENABLED: true,
     
+    // Content files ({locale} is replaced with a code from IntersophiaI18n.LOCALES)
+    FAQ_DATA_URL: 'assets/faq-data.{locale}.json',
+    SOCIALS_DATA_URL: 'assets/socials.json',
+    EVENTS_DATA_URL: 'assets/events.json',
+
+    // Loading resilience
+    FETCH_TIMEOUT_MS: 8000,
+    FETCH_RETRIES: 2,                 // Extra attempts after the first one
+    FETCH_RETRY_DELAY_MS: 600,        // Doubled after every failed attempt
+    LAST_GOOD_STORAGE_KEY: 'intersophia:last-good-data',
+
+    // Upcoming meetings card (assets/js/faq-events.js)
+    EVENTS_LIMIT: 3,                  // Meetings listed in the card
+    EVENTS_RECHECK_MS: 60 * 60 * 1000, // Longest wait before ended meetings are removed (timers stall in sleeping tabs)
+
+    // Language
+    LOCALE_STORAGE_KEY: 'intersophia:locale',
+
+    // Colour theme: 'light', 'dark' or 'auto' (follows prefers-color-scheme). The inline script
+    // in index.html applies the saved choice before first paint; keep its key and default in sync
+    THEME_STORAGE_KEY: 'intersophia:theme',
+    THEME_DEFAULT: 'dark',
+
+    // Collapsed sections and open answers, remembered for the browser tab
+    DISCLOSURE_STORAGE_KEY: 'intersophia:disclosure',
+    ACCORDION_MULTI_OPEN: false,      // Default of the "several answers at once" switch
+
+    // Offline support (see sw.js)
+    SERVICE_WORKER_URL: 'sw.js',
+
+    // Reading mode: ?view=all lists every answer on one page (also the print layout)
+    VIEW_QUERY_PARAM: 'view',
+    VIEW_ALL: 'all',
+    VIEW_CHANGES: 'changes',          // ?view=changes lists questions by their added/updated dates
+
+    // "nowe" / "zaktualizowane" badges: for everyone while a change is recent, and for
+    // returning visitors on anything changed since their previous visit
+    CHANGES_RECENT_DAYS: 14,
+    CHANGES_LIST_LIMIT: 20,           // Latest changes listed on ?view=changes
+    LAST_VISIT_STORAGE_KEY: 'intersophia:last-visit',
+    VISIT_SINCE_STORAGE_KEY: 'intersophia:visit-since', // sessionStorage: the previous visit, kept while the tab is open
+
+    // Content editor: ?edit edits the base-language data file in the browser
+    EDIT_QUERY_PARAM: 'edit',
+    EDITOR_DRAFT_STORAGE_KEY: 'intersophia:editor-draft',
+    EDITOR_UPDATE_DELAY_MS: 400,      // Pause in typing before the preview refreshes and the draft is saved
+
+    // Sharing
+    SHARE_NOTICE_TIMEOUT_MS: 3000,
+
+    // "Was this helpful?" feedback (adapters in assets/js/faq-feedback.js):
+    // { type: 'storage', key } keeps responses in this browser, { type: 'post', url } sends them
+    // to an endpoint, e.g. scripts/feedback-server.js at 'http://localhost:8787/feedback'
+    FEEDBACK_ADAPTER: { type: 'storage', key: 'intersophia:feedback' },
+    FEEDBACK_SENT_STORAGE_KEY: 'intersophia:feedback-sent',
+    FEEDBACK_COOLDOWN_MS: 24 * 60 * 60 * 1000, // One response per question per day
+
+    // Usage analytics (assets/js/faq-analytics.js), off unless a sink is set and never with
+    // Do Not Track / Global Privacy Control: { type: 'console' }, { type: 'storage', key: 'intersophia:analytics' }
+    // or { type: 'beacon', url } (navigator.sendBeacon with a JSON array of events)
+    ANALYTICS_SINK: null,
+    ANALYTICS_BATCH_SIZE: 10,
+    ANALYTICS_FLUSH_INTERVAL_MS: 15000,
+
+    // History: scroll positions are stored with each entry, debounced while scrolling
+    HISTORY_SCROLL_SAVE_DELAY: 200,
+
+    // Page metadata (shared links, search engines)
+    META_DESCRIPTION_LENGTH: 160,
+    STRUCTURED_DATA_ID: 'faqStructuredData',
+    
     // Loading state configuration
     LOADING_SKELETON_ITEMS: 3,
     LOADING_DELAY_MS: 100,
     
     // Smart scroll behavior
     SMART_SCROLL_THRESHOLD: 300,
+
+    // Search
+    SEARCH_TITLE_WEIGHT: 10,
+    SEARCH_WORD_START_BONUS: 2,
+    SEARCH_BODY_WEIGHT: 1,
+    SEARCH_HIT_CLASS: 'search-hit',
+    SEARCH_QUERY_PARAM: 'q',
+    SEARCH_MISS_RECORD_DELAY: 1500, // Only record queries the user stopped typing
+    SEARCH_MISS_STORAGE_KEY: 'intersophia:missed-queries',
+    SEARCH_MISS_LIMIT: 100,
+
+    // Data diagnostics panel (console report is always on)
+    DIAGNOSTICS_PARAM: 'diagnostics',
+    DIAGNOSTICS_HOSTS: ['localhost', '127.0.0.1', ''], // '' = opened from file://
   };
 
+  const I18n = window.IntersophiaI18n;
+  const Render = window.IntersophiaRender;
+  const Feedback = window.IntersophiaFeedback;
+  const Events = window.IntersophiaEvents;
+  const Editor = window.IntersophiaEditor;
+  const EditorUi = window.IntersophiaEditorUi;
+  const Analytics = window.IntersophiaAnalytics;
+  const Navigation = window.IntersophiaNavigation;
+  const Search = window.IntersophiaSearch;
+  const { formatAnswer, toPlainText, escapeHtml } = Render;
+  const { foldText, tokenizeQuery, findMatchRanges } = Search;
+
+  // Rendered text that search highlights (answers are handled by renderAnswerContent)
+  const HIGHLIGHT_TARGETS = '.side-link > span, .acc-btn > span:not(.chev), .acc-body';
+
+  // Items reachable with arrow keys; each list keeps a single tab stop (roving tabindex)
+  const ROVING_ITEMS = {
+    sidebar: '.section-toggle, .side-link',
+    accordion: '.section-toggle, .acc-btn, .acc-static',
+  };
+
+  // Theme switcher buttons, in display order
+  const THEME_ICONS = { light: '☀', dark: '☾', auto: '◐' };
+
+  const SITE_TITLE = document.title;
+
   const layoutQuery = window.matchMedia(`(max-width: ${CONFIG.MOBILE_BREAKPOINT}px)`);
   const reduceMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: light)');
 
   const dom = {
     viewer: document.getElementById('contentInner'),
     sidebar: document.getElementById('sidebar'),
     accordion: document.getElementById('mobileAccordion'),
+    // Persistent containers that survive list re-renders (search keeps focus)
+    sidebarContent: null,
+    mobileSearch: null,
+    accordionToolbar: null,
+    allAnswers: null,
+    changes: null,
     // Cache social icons for performance
     socialIcons: null,
     // Cache document fragment for reuse
@@ -79,6 +187,12 @@
   const state = {
     questions: new Map(),     // Single source of truth - combines questionMap + flatList data
     sections: [],            // Keep for section structure (needed for rendering)
+    socials: [],             // Channels from socials.json, rendered into every .socials bar
+    socialsSource: [],       // Raw socials.json, kept for diagnostics after a language switch
+    eventsSource: null,      // Raw events.json; the meetings card stays hidden without it
+    eventsTimer: null,       // Re-renders the meetings card when the soonest meeting ends
+    locale: I18n.DEFAULT_LOCALE,
+    theme: readThemePreference(), // 'light' | 'dark' | 'auto'
     activeId: null,
     elements: {
       sidebar: new Map(),    // Renamed from sidebarButtons for clarity
@@ -87,9 +201,34 @@
     bound: {
       sidebar: false,        // Consolidated binding flags
       accordion: false,
+    },
+    pagerFocus: null,        // 'previous' | 'next' while the pager re-renders the answer card
+    poppedQuestionId: null,  // Set by popstate so the hashchange that follows does not scroll again
+    scrollSaveTimer: null,
+    feedback: null,          // { adapter, limiter }, created on first use
+    analytics: {
+      tracker: null,         // Set by initAnalytics when analytics is enabled and allowed
+      viewId: null,          // Question whose dwell time is being measured
+      viewStart: null,       // performance.now() when it became visible, null while hidden
+      entryRecorded: false,  // The deep-link entry is recorded once per page load
+    },
+    viewAll: new URLSearchParams(window.location.search).get(CONFIG.VIEW_QUERY_PARAM) === CONFIG.VIEW_ALL,
+    viewChanges: new URLSearchParams(window.location.search).get(CONFIG.VIEW_QUERY_PARAM) === CONFIG.VIEW_CHANGES,
+    visit: { since: null, first: false }, // Previous visit (YYYY-MM-DD) and whether this is the tab's first page load
+    editMode: new URLSearchParams(window.location.search).has(CONFIG.EDIT_QUERY_PARAM),
+    editor: null,            // IntersophiaEditorUi.createEditorUi result while ?edit is open
+    disclosure: readDisclosureState(), // { collapsed: Set of section keys, open: Set of question ids, multiOpen }
+    search: {
+      query: '',
+      terms: [],
+      results: null,         // Ranked entries while a query is active, null otherwise
+      inputs: [],
+      missTimer: null,
+      fromUrl: false,        // ?q= query still to be checked for a miss (once, after the first load)
     }
   };
 
+  window.Intersophia = createPublicApi();
   init();
 
   /**
@@ -98,9 +237,14 @@
    */
   function initDomCache() {
     // Cache social icons and containers once to avoid repeated DOM queries
+    // Icons are keyed by their data-social name so glows never depend on order
+    const byName = (selector) => new Map(
+      Array.from(document.querySelectorAll(selector)).map((icon) => [icon.dataset.social, icon])
+    );
+
     dom.socialIcons = {
-      desktop: Array.from(document.querySelectorAll('.socials-desktop .icon-btn')),
-      mobile: Array.from(document.querySelectorAll('.socials-mobile .icon-btn')),
+      desktop: byName('.socials-desktop .icon-btn[data-social]'),
+      mobile: byName('.socials-mobile .icon-btn[data-social]'),
       mobileContainer: document.querySelector('.socials-mobile'),
     };
   }
@@ -113,87 +257,390 @@
    */
   async function init() {
     bindGlobalListeners();
+    initAnalytics();
+    restoreSearchFromUrl();
+    state.visit = recordVisit();
+    applyLocale(detectLocale());
+    applyTheme();
+    renderThemeSwitcher();
+    renderLocaleSwitcher();
+    renderChangesLink();
+    renderViewModeLink();
+    document.documentElement.classList.toggle('view-all', state.viewAll);
+    document.documentElement.classList.toggle('view-changes', state.viewChanges);
     
+    // Pre-rendered lists stay visible; only the answer panel waits for the data
+    const prerendered = Boolean(document.querySelector('meta[name="faq-prerender"]'));
+
     // Show loading state immediately for better perceived performance
-    showLoadingState();
+    showLoadingState({ viewerOnly: prerendered });
     
+    // Small delay to ensure loading state is visible
+    if (!prerendered) await new Promise(resolve => setTimeout(resolve, CONFIG.LOADING_DELAY_MS));
+    await loadContent();
+    restoreScrollState(history.state); // Reload keeps the positions saved for this entry
+
+    // Registered after the first render so precaching does not compete with it
+    registerServiceWorker();
+  }
+
+  /**
+   * Fetches FAQ data and socials for the current locale and renders them
+   * Used for the first load, language switches and Intersophia.reload().
+   * Never rejects: failures end in the stored content or the error screen.
+   * @async
+   * @function loadContent
+   * @returns {Promise<boolean>} Whether the fresh content was rendered
+   */
+  async function loadContent() {
+    const { locale } = state;
+    let content, socials, events;
+
     try {
-      // Small delay to ensure loading state is visible
-      await new Promise(resolve => setTimeout(resolve, CONFIG.LOADING_DELAY_MS));
-      
-      const sections = await loadFaqData();
-      hydrate(sections);
+      [content, socials, events] = await Promise.all([loadFaqData(locale), loadSocials(), loadEvents()]);
+    } catch (error) {
+      if (locale !== state.locale) return false; // A language switch started a newer load
+      console.error('Failed to load FAQ data:', error);
+      showFallbackContent(error, readLastGoodData());
+      return false;
+    }
+    if (locale !== state.locale) return false;
+
+    if (events) state.eventsSource = events; // Otherwise keep the meetings loaded earlier
+
+    // Data that fails to render must not replace the stored fallback
+    const previous = readLastGoodData();
+    try {
+      renderContent(content, socials ?? previous?.socials ?? []);
+    } catch (error) {
+      console.error('Failed to render FAQ data:', error);
+      showFallbackContent(error, previous);
+      return false;
+    }
+
+    saveLastGoodData(content, socials);
+    removePageNotice('faqCachedNotice');
+    return true;
+  }
+
+  /**
+   * Shows the stored snapshot after a failed load, or the error screen when there is none or it fails too
+   * @function showFallbackContent
+   * @param {Error} error - Why the load failed
+   * @param {Object|null} snapshot - Result of readLastGoodData
+   */
+  function showFallbackContent(error, snapshot) {
+    const { locale } = state;
+    let cached = false;
+
+    if (snapshot) {
+      try {
+        renderContent({
+          base: snapshot.base,
+          translation: snapshot.locale === locale ? snapshot.translation : null,
+          locale,
+        }, snapshot.socials);
+        showCachedNotice(snapshot.savedAt);
+        cached = true;
+      } catch (renderError) {
+        console.error('Failed to render stored FAQ data:', renderError);
+      }
+    }
+
+    if (!cached) showErrorState(error);
+    dispatchFaqEvent('error', { error, message: error?.message || String(error), cached });
+  }
+
+  function renderContent(content, socials) {
+    state.socialsSource = socials;
+    state.socials = Render.normalizeSocials(socials);
+    renderSocials();
+    renderEvents();
+    reportDataDiagnostics(content);
+    hydrate(mergeTranslation(content.base, content.translation, content.locale));
+    if (state.editMode) openEditor(content.base);
+  }
+
+  /**
+   * Fetches JSON with a timeout, retrying network errors and 5xx responses with backoff
+   * @async
+   * @function fetchJson
+   * @param {string} url - File to fetch
+   * @returns {Promise<*>} Parsed JSON
+   * @throws {Error} The last error once all attempts failed; 4xx responses are not retried
+   */
+  async function fetchJson(url) {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await fetchJsonOnce(url);
+      } catch (error) {
+        const retryable = !error.status || error.status >= 500;
+        if (!retryable || attempt >= CONFIG.FETCH_RETRIES) throw error;
+        await new Promise((resolve) => setTimeout(resolve, CONFIG.FETCH_RETRY_DELAY_MS * 2 ** attempt));
+      }
+    }
+  }
+
+  async function fetchJsonOnce(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.FETCH_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(url, { cache: 'no-store', signal: controller.signal });
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') throw new Error(`Timeout after ${CONFIG.FETCH_TIMEOUT_MS} ms (${url})`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Stores the data behind the current page as the fallback for failed loads
+   * Socials that failed to load keep their previously stored copy.
+   * @function saveLastGoodData
+   * @param {Object} content - Result of loadFaqData
+   * @param {Array|null} socials - Result of loadSocials
+   */
+  function saveLastGoodData(content, socials) {
+    const snapshot = {
+      savedAt: new Date().toISOString(),
+      locale: content.locale,
+      base: content.base,
+      translation: content.translation,
+      socials: socials ?? readLastGoodData()?.socials ?? [],
+    };
+
+    try {
+      localStorage.setItem(CONFIG.LAST_GOOD_STORAGE_KEY, JSON.stringify(snapshot));
+    } catch (error) {
+      // Storage full or unavailable: the page works, there is just no offline fallback
+    }
+  }
 
+  function readLastGoodData() {
+    try {
+      const snapshot = JSON.parse(localStorage.getItem(CONFIG.LAST_GOOD_STORAGE_KEY));
+      return Array.isArray(snapshot?.base) ? snapshot : null;
     } catch (error) {
-      showErrorState(error);
-      handleDataLoadError(error);
+      return null;
     }
   }
 
+  function getFaqDataUrl(locale) {
+    return CONFIG.FAQ_DATA_URL.replace('{locale}', locale);
+  }
+
   /**
-   * Loads FAQ data from external JSON file
+   * Loads the base (Polish) FAQ data and, for other locales, its translation file
+   * A missing translation file is not fatal: the page falls back to the base language.
    * @async
    * @function loadFaqData
-   * @returns {Promise<Array>} Array of FAQ sections with items
-   * @throws {Error} When fetch fails or data format is invalid
+   * @param {string} [locale=I18n.DEFAULT_LOCALE] - Requested locale
+   * @returns {Promise<{base: Array, translation: Array|null, locale: string}>} Raw data files
+   * @throws {Error} When the base file fails to load or is not an array
    */
-  async function loadFaqData() {
-    const response = await fetch('assets/faq-data.json', { cache: 'no-store' });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const data = await response.json();
-    if (!Array.isArray(data)) throw new Error('FAQ musi być tablicą sekcji');
-    return data;
+  async function loadFaqData(locale = I18n.DEFAULT_LOCALE) {
+    const [base, translation] = await Promise.all([
+      fetchJson(getFaqDataUrl(I18n.DEFAULT_LOCALE)),
+      locale === I18n.DEFAULT_LOCALE
+        ? null
+        : fetchJson(getFaqDataUrl(locale)).catch((error) => {
+          console.error(`Failed to load FAQ translation from ${getFaqDataUrl(locale)}:`, error);
+          return null;
+        }),
+    ]);
+
+    if (!Array.isArray(base)) throw new Error('FAQ musi być tablicą sekcji');
+    return { base, translation, locale };
   }
 
   /**
-   * Converts asterisk-based bullet points to proper HTML unordered lists
-   * @function formatBulletPoints
-   * @param {string} text - Text content that may contain asterisk bullet points
-   * @returns {string} HTML with proper <ul> and <li> elements
+   * Overlays a translation on the base sections
+   * The base file defines structure and item options; translations match items by id and
+   * a question missing either `q` or `a` stays in the base language as a whole.
+   * @function mergeTranslation
+   * @param {Array} base - Sections from faq-data.<default>.json
+   * @param {Array|null} translation - Sections from faq-data.<locale>.json
+   * @param {string} locale - Translation locale
+   * @returns {Array} Sections whose items carry a `lang` code
    */
-  function formatBulletPoints(text) {
-    if (!text || typeof text !== 'string') return text;
-    
-    // Split by lines and process bullet points
-    const lines = text.split('\n');
-    let result = [];
-    let inList = false;
-    let currentList = [];
-    
-    for (let line of lines) {
-      const trimmed = line.trim();
-      
-      // Check if line starts with asterisk bullet point
-      if (trimmed.startsWith('* ')) {
-        const bulletContent = trimmed.substring(2).trim();
-        if (!inList) {
-          inList = true;
-          currentList = [];
-        }
-        currentList.push(bulletContent);
-      } else {
-        // If we were in a list, close it
-        if (inList) {
-          const listItems = currentList.map(item => `<li>${item}</li>`).join('');
-          result.push(`<ul>${listItems}</ul>`);
-          inList = false;
-          currentList = [];
-        }
-        
-        // Add regular line (if not empty)
-        if (trimmed) {
-          result.push(line);
-        }
-      }
+  function mergeTranslation(base, translation, locale) {
+    const translatedItems = new Map();
+    const translatedTitles = new Map(); // item id -> title of the translated section holding it
+
+    (Array.isArray(translation) ? translation : []).forEach((section) => {
+      (Array.isArray(section?.items) ? section.items : []).forEach((item) => {
+        if (!item?.id || !String(item.q ?? '').trim() || !String(item.a ?? '').trim()) return;
+        translatedItems.set(String(item.id), item);
+        if (section.section) translatedTitles.set(String(item.id), section.section);
+      });
+    });
+
+    return base.map((section) => {
+      if (!section || !Array.isArray(section.items)) return section;
+
+      const titleSource = section.items.find((item) => translatedTitles.has(String(item?.id)));
+
+      return {
+        ...section,
+        section: titleSource ? translatedTitles.get(String(titleSource.id)) : section.section,
+        items: section.items.map((item) => {
+          if (!item) return item;
+          const translated = translatedItems.get(String(item.id));
+          if (!translated) return { ...item, lang: I18n.DEFAULT_LOCALE };
+          return { ...item, q: translated.q, a: translated.a, lang: locale };
+        }),
+      };
+    });
+  }
+
+  /**
+   * Loads the social channel list; the FAQ still works without it, so failures only log
+   * @async
+   * @function loadSocials
+   * @returns {Promise<Array|null>} Raw channel list, null when unavailable
+   */
+  async function loadSocials() {
+    try {
+      return await fetchJson(CONFIG.SOCIALS_DATA_URL);
+    } catch (error) {
+      console.error('Failed to load social channels from socials.json:', error);
+      return null;
     }
-    
-    // Close any remaining list
-    if (inList && currentList.length > 0) {
-      const listItems = currentList.map(item => `<li>${item}</li>`).join('');
-      result.push(`<ul>${listItems}</ul>`);
+  }
+
+  /**
+   * URL of a channel for a layout, honouring per-layout overrides
+   * @param {Object} channel - Normalized channel
+   * @param {string} layout - 'desktop' or 'mobile'
+   * @returns {string} Link target
+   */
+  function getSocialUrl(channel, layout) {
+    return channel.urls[layout] || channel.url;
+  }
+
+  /**
+   * Renders every .socials[data-layout] bar from state.socials
+   * @function renderSocials
+   */
+  function renderSocials() {
+    // Without socials.json the links pre-rendered into index.html stay
+    if (state.socials.length) {
+      document.querySelectorAll('.socials[data-layout]').forEach((bar) => {
+        const { layout } = bar.dataset;
+        bar.replaceChildren(Render.toDom(state.socials.map((channel) => Render.socialLinkView(channel, layout)), { document }));
+      });
     }
-    
-    return result.join('\n');
+
+    initDomCache();
+  }
+
+  /**
+   * Validates loaded content and reports problems on the console and in the diagnostics panel
+   * @function reportDataDiagnostics
+   * @param {Object} content - Result of loadFaqData
+   * @param {Array} content.base - Parsed base FAQ file
+   * @param {Array|null} content.translation - Parsed translation file, if any
+   * @param {string} content.locale - Locale of the translation
+   * @returns {Array<Object>} Issues from IntersophiaSchema, each tagged with its file
+   */
+  function reportDataDiagnostics({ base, translation, locale }) {
+    const { validateFaqData, validateSocials, validateEvents, formatIssue } = window.IntersophiaSchema;
+    const fileName = (code) => getFaqDataUrl(code).split('/').pop();
+    const baseIds = base.flatMap((section) => (Array.isArray(section?.items) ? section.items : []).map((item) => item?.id));
+
+    const reports = [
+      { file: 'socials.json', report: validateSocials(state.socialsSource) },
+      { file: fileName(I18n.DEFAULT_LOCALE), report: validateFaqData(base, { socials: state.socials.map(({ name }) => name) }) },
+    ];
+    if (translation) {
+      reports.push({ file: fileName(locale), report: validateFaqData(translation, { baseIds }) });
+    }
+    if (state.eventsSource) {
+      const timeZones = Object.keys(Events.TIME_ZONES);
+      reports.push({ file: 'events.json', report: validateEvents(state.eventsSource, { timeZones }) });
+    }
+
+    reports.forEach(({ file, report }) => {
+      if (!report.issues.length) return;
+      console.group(`${file}: ${report.errors} error(s), ${report.warnings} warning(s)`);
+      report.issues.forEach((issue) => {
+        (issue.severity === 'error' ? console.error : console.warn)(formatIssue(issue));
+      });
+      console.groupEnd();
+    });
+
+    const issues = reports.flatMap(({ file, report }) => report.issues.map((issue) => ({ ...issue, file })));
+    renderDiagnosticsPanel(issues);
+    return issues;
+  }
+
+  function shouldShowDiagnostics() {
+    const params = new URLSearchParams(window.location.search);
+    return params.has(CONFIG.DIAGNOSTICS_PARAM) || CONFIG.DIAGNOSTICS_HOSTS.includes(window.location.hostname);
+  }
+
+  /**
+   * Shows validation issues in a dismissible panel (local development or ?diagnostics)
+   * @function renderDiagnosticsPanel
+   * @param {Array<Object>} issues - Issues tagged with their file
+   */
+  function renderDiagnosticsPanel(issues) {
+    document.getElementById('faqDiagnostics')?.remove();
+    if (!issues.length || !shouldShowDiagnostics()) return;
+
+    const errors = issues.filter((issue) => issue.severity === 'error').length;
+    const { formatIssue } = window.IntersophiaSchema;
+
+    const panel = document.createElement('aside');
+    panel.id = 'faqDiagnostics';
+    panel.className = 'diagnostics-panel card-surface';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', t('diagnostics.label'));
+
+    const header = document.createElement('div');
+    header.className = 'diagnostics-header';
+
+    const title = document.createElement('strong');
+    title.textContent = t('diagnostics.title', { errors, warnings: issues.length - errors });
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'diagnostics-close';
+    close.setAttribute('aria-label', t('diagnostics.close'));
+    close.textContent = '×';
+    close.addEventListener('click', () => panel.remove());
+
+    header.append(title, close);
+
+    const list = document.createElement('ul');
+    list.className = 'diagnostics-list';
+    issues.forEach((issue) => {
+      const li = document.createElement('li');
+      li.className = `diagnostics-${issue.severity}`;
+      li.textContent = `${issue.file}: ${formatIssue(issue)}`;
+      list.appendChild(li);
+    });
+
+    panel.append(header, list);
+    document.body.appendChild(panel);
+  }
+
+  /**
+   * Sanitizes answer markup in the page's document (see IntersophiaRender.sanitizeHtml)
+   * @function sanitizeHtml
+   * @param {string} html - Untrusted markup
+   * @returns {DocumentFragment} Sanitized nodes ready to insert
+   */
+  function sanitizeHtml(html) {
+    return Render.sanitizeHtml(html, { document });
   }
 
   /**
@@ -207,6 +654,7 @@
     
     state.sections = processedSections; // Store processed sections with cached validItems
     state.questions = questions;
+    state.search.results = state.search.terms.length ? searchQuestions(state.search.terms) : null;
 
     const hashCandidate = resolveQuestionId(extractHashId());
     if (hashCandidate) {
@@ -217,240 +665,898 @@
       state.activeId = firstQuestion?.id || null;
     }
 
-    renderDesktop();
-    renderMobile();
+    // Markup pre-rendered from the same data only needs listeners, not a rebuild
+    const prerenderKey = takePrerenderKey();
+    const adopted = Boolean(prerenderKey)
+      && !state.search.results
+      && prerenderKey === Render.renderKey(processedSections)
+      && adoptPrerenderedMarkup();
+
+    if (!adopted) {
+      renderDesktop();
+      renderMobile();
+    }
     initDomCache();
+    updateSearchStatus();
+
+    // A shared ?q= link that finds nothing counts as a missed query, like a typed one
+    if (state.search.fromUrl) {
+      state.search.fromUrl = false;
+      scheduleMissedQueryRecord();
+    }
+    if (state.viewAll) renderAllAnswers();
+    if (state.viewChanges) renderChanges();
+    updateChangesLink();
+    showChangesNotice();
 
     if (state.activeId && state.questions.has(state.activeId)) {
+      revealSection(state.activeId);
       renderDesktopQuestion(state.activeId);
       updateSidebarActive(state.activeId);
       setHashQuestionId(state.activeId);
-      syncMobileAccordion(state.activeId, { scroll: false, focus: false });
+      syncMobileAccordion(state.activeId, { scroll: false, focus: false, exclusive: false });
     } else if (dom.viewer) {
-      dom.viewer.innerHTML = '<p class="question-empty">Brak pytań do wyświetlenia.</p>';
+      const empty = document.createElement('p');
+      empty.className = 'question-empty';
+      empty.textContent = t('empty.questions');
+      dom.viewer.replaceChildren(empty);
+    }
+
+    updatePageMeta(state.questions.get(state.activeId));
+    updateStructuredData();
+
+    if (!state.analytics.entryRecorded) {
+      state.analytics.entryRecorded = true;
+      if (hashCandidate) trackEvent('deeplink', { questionId: hashCandidate });
     }
+    recordQuestionView(state.activeId);
+
+    dispatchFaqEvent('loaded', {
+      locale: state.locale,
+      questions: state.questions.size,
+      activeId: state.activeId,
+    });
   }
 
   /**
-   * Builds question index and processes sections for optimal rendering
-   * Creates a Map for O(1) question lookups and caches valid items per section
+   * Builds the question index (see IntersophiaRender.buildQuestionIndex) and adds search data
    * @function buildQuestionIndex
    * @param {Array} sections - Raw FAQ sections from JSON
-   * @returns {Object} Object containing questions Map and processed sections
-   * @returns {Map} returns.questions - Map of question ID to question data
-   * @returns {Array} returns.processedSections - Sections with cached validItems
+   * @returns {{questions: Map, processedSections: Array}} Index and sections with cached validItems
    */
   function buildQuestionIndex(sections) {
-    const questions = new Map();
-
-    // Process sections and cache valid items to avoid repeated processing
-    const processedSections = sections.map((section) => {
-      const items = Array.isArray(section?.items) ? section.items : [];
-      const validItems = [];
-
-      items.forEach((item, index) => {
-        if (!item || !item.id) return;
-        const id = String(item.id);
-        if (questions.has(id)) return;
-
-        const entry = {
-          id,
-          section: section?.section || '',
-          question: item.q || '',
-          answer: item.a || '',
-          order: questions.size, // Track original order for flatList compatibility
-        };
-
-        questions.set(id, entry);
-        validItems.push(entry);
-      });
+    const index = Render.buildQuestionIndex(sections, { locale: state.locale });
 
-      // Return processed section with cached valid items
-      return {
-        ...section,
-        validItems, // Cache the processed valid items
+    index.questions.forEach((entry) => {
+      entry.searchIndex = {
+        question: foldText(entry.question).folded,
+        answer: foldText(toPlainText(entry.answer)).folded,
       };
     });
 
-    return { questions, processedSections };
+    return index;
   }
 
+  // ===== LANGUAGE =====
+
   /**
-   * Renders the desktop sidebar with question navigation
-   * Creates section headings and clickable question links
-   * @function renderDesktop
+   * Translates a UI string into the current locale
+   * @function t
+   * @param {string} key - String key from IntersophiaI18n.STRINGS
+   * @param {Object} [params] - Placeholder values
+   * @returns {string} Translated text
    */
-  function renderDesktop() {
-    const content = ensureSidebarContent();
-    if (!content) return;
-
-    const fragment = document.createDocumentFragment();
-
-    state.sections.forEach((section) => {
-      const validItems = getValidItems(section);
-      if (!validItems.length) return;
+  function t(key, params) {
+    return I18n.translate(state.locale, key, params);
+  }
 
-      const sectionEl = document.createElement('section');
-      sectionEl.className = 'side-section';
+  /**
+   * Picks the starting locale: saved choice first, then the browser languages
+   * @function detectLocale
+   * @returns {string} Supported locale code
+   */
+  function detectLocale() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(CONFIG.LOCALE_STORAGE_KEY);
+    } catch (error) {
+      // Storage can be unavailable (privacy mode); fall back to the browser languages
+    }
+    return I18n.resolveLocale([saved, ...(navigator.languages || [navigator.language])]);
+  }
 
-      if (!section.hideHeading) {
-        const title = document.createElement('h2');
-        title.className = 'side-title';
-        title.textContent = section.section;
-        sectionEl.appendChild(title);
-      }
+  /**
+   * Switches interface strings and the document language without touching the content
+   * @function applyLocale
+   * @param {string} locale - Supported locale code
+   */
+  function applyLocale(locale) {
+    state.locale = locale;
+    document.documentElement.lang = locale;
+    document.body.dataset.keyboardHint = t('keyboard.hint');
+    applyTranslations(document);
+
+    document.querySelectorAll('.locale-btn').forEach((button) => {
+      button.setAttribute('aria-pressed', String(button.dataset.locale === locale));
+    });
+  }
 
-      const list = document.createElement('ul');
-      list.className = 'side-list';
-
-      validItems.forEach((entry) => {
-        const li = document.createElement('li');
-        const button = document.createElement('button');
-        button.type = 'button';
-        button.className = 'side-link';
-        button.dataset.questionId = entry.id;
-        button.setAttribute('aria-controls', 'contentInner');
-        button.innerHTML = `<span>${entry.question}</span>`;
-
-        li.appendChild(button);
-        list.appendChild(li);
-        state.elements.sidebar.set(entry.id, button);
-      });
+  /**
+   * Fills elements marked with data-i18n* attributes with strings for the current locale
+   * @function applyTranslations
+   * @param {ParentNode} root - Subtree to translate
+   */
+  function applyTranslations(root) {
+    const translatable = [
+      ['[data-i18n]', (element, key) => { element.textContent = t(key); }, 'i18n'],
+      ['[data-i18n-label]', (element, key) => element.setAttribute('aria-label', t(key)), 'i18nLabel'],
+      ['[data-i18n-title]', (element, key) => { element.title = t(key); }, 'i18nTitle'],
+      ['[data-i18n-placeholder]', (element, key) => { element.placeholder = t(key); }, 'i18nPlaceholder'],
+      ['[data-i18n-alt]', (element, key) => { element.alt = t(key); }, 'i18nAlt'],
+      ['[data-i18n-content]', (element, key) => element.setAttribute('content', t(key)), 'i18nContent'],
+    ];
+
+    translatable.forEach(([selector, apply, datasetKey]) => {
+      root.querySelectorAll(selector).forEach((element) => apply(element, element.dataset[datasetKey]));
+    });
+  }
 
-      sectionEl.appendChild(list);
-      fragment.appendChild(sectionEl);
+  /**
+   * Adds the language buttons to the header bar
+   * @function renderLocaleSwitcher
+   */
+  function renderLocaleSwitcher() {
+    const tools = ensureHeaderTools();
+    if (!tools || tools.querySelector('.locale-switcher')) return;
+
+    const group = document.createElement('div');
+    group.className = 'locale-switcher';
+    group.setAttribute('role', 'group');
+    group.dataset.i18nLabel = 'locale.label';
+
+    Object.entries(I18n.LOCALES).forEach(([code, { name, short }]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'locale-btn';
+      button.dataset.locale = code;
+      button.lang = code;
+      button.title = name;
+      button.textContent = short;
+      button.setAttribute('aria-pressed', String(code === state.locale));
+      button.addEventListener('click', () => switchLocale(code));
+      group.appendChild(button);
     });
 
-    content.appendChild(fragment);
+    tools.appendChild(group);
+    applyTranslations(tools);
+  }
 
-    if (!state.bound.sidebar && dom.sidebar) {
-      dom.sidebar.addEventListener('click', handleSidebarClick);
-      state.bound.sidebar = true;
+  // Top-right corner of the header: view mode link and language switcher
+  function ensureHeaderTools() {
+    const bar = document.querySelector('header .bar');
+    if (!bar) return null;
+
+    let tools = bar.querySelector('.header-tools');
+    if (!tools) {
+      tools = document.createElement('div');
+      tools.className = 'header-tools';
+      bar.appendChild(tools);
     }
+    return tools;
   }
 
-  function ensureSidebarContent() {
-    if (!dom.sidebar) return null;
+  /**
+   * Changes the language, remembers the choice and reloads the content in place
+   * The active question and search query survive the switch.
+   * @async
+   * @function switchLocale
+   * @param {string} locale - Supported locale code
+   */
+  async function switchLocale(locale) {
+    if (locale === state.locale || !I18n.LOCALES[locale]) return;
 
-    dom.sidebar.classList.add('card-surface');
-    dom.sidebar.innerHTML = '';
+    try {
+      localStorage.setItem(CONFIG.LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+      // Storage can be unavailable (privacy mode); the choice then lasts for this visit only
+    }
 
-    const content = document.createElement('div');
-    content.className = 'sidebar-content';
-    dom.sidebar.appendChild(content);
+    applyLocale(locale);
+    await loadContent();
+  }
 
-    const footer = document.createElement('footer');
-    footer.className = 'sidebar-footer';
-    footer.innerHTML = `
-      <small>© 2025 | DESIGNED BY<br>
-        <a href="https://www.linkedin.com/in/krzysztof-durczak/" target="_blank" rel="noopener">KRZYSZTOF DURCZAK</a> |
-        <a href="https://github.com/OtisRed" target="_blank" rel="noopener">OTISRED</a>
-      </small>
-    `;
-    dom.sidebar.appendChild(footer);
+  /**
+   * Marks an element rendered from base-language fallback content with its own lang
+   * @function setContentLang
+   * @param {HTMLElement} element - Element holding question content
+   * @param {Object} entry - Question entry
+   */
+  function setContentLang(element, entry) {
+    if (entry.lang && entry.lang !== state.locale) element.lang = entry.lang;
+  }
 
-    state.elements.sidebar.clear();
-    return content;
+  // ===== THEME =====
+
+  function readThemePreference() {
+    try {
+      const saved = localStorage.getItem(CONFIG.THEME_STORAGE_KEY);
+      if (saved && Object.hasOwn(THEME_ICONS, saved)) return saved;
+    } catch (error) {
+      // Storage can be unavailable (privacy mode)
+    }
+    return CONFIG.THEME_DEFAULT;
   }
 
   /**
-   * Renders the mobile accordion interface
-   * Creates expandable accordion items and static blocks
-   * @function renderMobile
+   * Sets data-theme on <html> from the chosen theme ('auto' resolves through prefers-color-scheme)
+   * @function applyTheme
    */
-  function renderMobile() {
-    if (!dom.accordion) return;
+  function applyTheme() {
+    const theme = state.theme === 'auto'
+      ? (colorSchemeQuery.matches ? 'light' : 'dark')
+      : state.theme;
+    document.documentElement.dataset.theme = theme;
+
+    document.querySelectorAll('.theme-btn').forEach((button) => {
+      button.setAttribute('aria-pressed', String(button.dataset.theme === state.theme));
+    });
+  }
 
-    dom.accordion.innerHTML = '';
-    state.elements.accordion.clear();
+  /**
+   * Adds the light / dark / auto buttons to the header tools
+   * @function renderThemeSwitcher
+   */
+  function renderThemeSwitcher() {
+    const tools = ensureHeaderTools();
+    if (!tools || tools.querySelector('.theme-switcher')) return;
+
+    const group = document.createElement('div');
+    group.className = 'theme-switcher';
+    group.setAttribute('role', 'group');
+    group.dataset.i18nLabel = 'theme.label';
+
+    Object.entries(THEME_ICONS).forEach(([theme, icon]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'theme-btn';
+      button.dataset.theme = theme;
+      button.dataset.i18nLabel = `theme.${theme}`;
+      button.dataset.i18nTitle = `theme.${theme}`;
+      button.textContent = icon;
+      button.setAttribute('aria-pressed', String(theme === state.theme));
+      button.addEventListener('click', () => setTheme(theme));
+      group.appendChild(button);
+    });
 
-    const fragment = document.createDocumentFragment();
+    tools.appendChild(group);
+    applyTranslations(tools);
+  }
 
-    state.sections.forEach((section) => {
-      const validItems = getValidItems(section);
-      if (!validItems.length) return;
+  function setTheme(theme) {
+    if (theme === state.theme || !Object.hasOwn(THEME_ICONS, theme)) return;
 
-      if (!section.hideHeading) {
-        const heading = document.createElement('div');
-        heading.className = 'side-title';
-        heading.textContent = section.section;
-        fragment.appendChild(heading);
-      }
+    try {
+      localStorage.setItem(CONFIG.THEME_STORAGE_KEY, theme);
+    } catch (error) {
+      // Storage can be unavailable (privacy mode); the choice then lasts for this visit only
+    }
 
-      validItems.forEach((entry) => {
-        if (CONFIG.STATIC_ACCORDION_IDS.has(entry.id)) {
-          const staticBlock = createStaticAccordionBlock(entry);
-          fragment.appendChild(staticBlock);
-          return;
-        }
+    state.theme = theme;
+    applyTheme();
+  }
 
-        const item = createAccordionItem(entry);
-        fragment.appendChild(item.wrapper);
-        state.elements.accordion.set(entry.id, {
-          item: item.wrapper,
-          button: item.button,
-          panel: item.panel,
-        });
-      });
-    });
+  function handleColorSchemeChange() {
+    if (state.theme === 'auto') applyTheme();
+  }
 
-    dom.accordion.appendChild(fragment);
+  // ===== PAGE METADATA =====
 
-    if (!state.bound.accordion) {
-      dom.accordion.addEventListener('click', handleAccordionClick);
-      state.bound.accordion = true;
+  /**
+   * Points the document title and meta description at the open question
+   * @function updatePageMeta
+   * @param {Object} [entry] - Active question entry; the site defaults are restored without one
+   */
+  function updatePageMeta(entry) {
+    document.title = entry ? `${entry.question} – ${SITE_TITLE}` : SITE_TITLE;
+
+    const description = document.querySelector('meta[name="description"]');
+    if (description) {
+      description.setAttribute('content', entry
+        ? Render.excerpt(entry.answer, CONFIG.META_DESCRIPTION_LENGTH)
+        : t('meta.description'));
     }
+  }
 
-    if (state.activeId) {
-      syncMobileAccordion(state.activeId, { scroll: false, focus: false });
+  /**
+   * Replaces the FAQPage JSON-LD (also written by scripts/prerender.js) with the loaded questions
+   * @function updateStructuredData
+   */
+  function updateStructuredData() {
+    let script = document.getElementById(CONFIG.STRUCTURED_DATA_ID);
+
+    if (!state.questions.size) {
+      script?.remove();
+      return;
+    }
+
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.id = CONFIG.STRUCTURED_DATA_ID;
+      document.head.appendChild(script);
     }
+
+    const entries = Array.from(state.questions.values()).sort((a, b) => a.order - b.order);
+    script.textContent = Render.faqStructuredData(entries, { locale: state.locale });
   }
 
-  function createAccordionItem(entry) {
-    const wrapper = document.createElement('div');
-    wrapper.className = 'acc-item';
-    wrapper.dataset.questionId = entry.id;
+  // ===== SEARCH =====
 
-    const button = document.createElement('button');
-    button.id = `q-${entry.id}`;
-    button.className = 'acc-btn';
-    button.setAttribute('aria-expanded', 'false');
-    button.setAttribute('aria-controls', `p-${entry.id}`);
-    button.innerHTML = `
-      <span>${entry.question}</span>
-      <span class="chev" aria-hidden="true">▾</span>
-    `;
+  /**
+   * Filters and ranks state.questions for a query
+   * @function searchQuestions
+   * @param {string[]} terms - Folded search terms
+   * @returns {Array<Object>} Matching entries, best first, ties in original order
+   */
+  function searchQuestions(terms) {
+    const weights = {
+      title: CONFIG.SEARCH_TITLE_WEIGHT,
+      wordStart: CONFIG.SEARCH_WORD_START_BONUS,
+      body: CONFIG.SEARCH_BODY_WEIGHT,
+    };
 
-    const panel = document.createElement('div');
-    panel.className = 'acc-panel';
-    panel.id = `p-${entry.id}`;
-    panel.setAttribute('role', 'region');
-    panel.setAttribute('aria-labelledby', button.id);
+    return Array.from(state.questions.values())
+      .map((entry) => ({ entry, score: Search.scoreEntry(entry, terms, weights) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.entry.order - b.entry.order)
+      .map(({ entry }) => entry);
+  }
 
-    const body = document.createElement('div');
-    body.className = 'acc-body card-surface';
-    body.innerHTML = formatBulletPoints(entry.answer);
-    panel.appendChild(body);
+  /**
+   * Updates the active query and re-renders the sidebar and accordion
+   * @function setSearchQuery
+   * @param {string} query - Raw user input
+   */
+  function setSearchQuery(query) {
+    const raw = String(query ?? '');
+    const terms = tokenizeQuery(raw);
 
-    setPanelAccessibilityState(panel, false);
+    state.search.query = raw;
+    state.search.terms = terms;
+    state.search.results = terms.length ? searchQuestions(terms) : null;
 
-    wrapper.append(button, panel);
-    return { wrapper, button, panel };
-  }
+    state.search.inputs.forEach((input) => {
+      if (input.value !== raw) input.value = raw;
+    });
 
-  function createStaticAccordionBlock(entry) {
-    const block = document.createElement('div');
-    block.className = 'acc-body card-surface acc-static';
-    block.dataset.questionId = entry.id;
-    block.setAttribute('tabindex', '0');
-    block.setAttribute('role', 'region');
-    block.innerHTML = formatBulletPoints(entry.answer);
-    return block;
+    renderDesktop();
+    renderMobile();
+    refreshDesktopAnswer();
+    updateSearchStatus();
+    setSearchQueryParam(terms.length ? raw.trim() : '');
+    scheduleMissedQueryRecord();
   }
 
-  function getValidItems(section) {
-    // Return pre-cached valid items instead of processing on each call
-    return section?.validItems || [];
+  function restoreSearchFromUrl() {
+    const query = new URLSearchParams(window.location.search).get(CONFIG.SEARCH_QUERY_PARAM) || '';
+    state.search.query = query;
+    state.search.terms = tokenizeQuery(query);
+    state.search.fromUrl = state.search.terms.length > 0;
+  }
+
+  /**
+   * Mirrors the query into ?q= so result lists can be shared; the #question hash is kept
+   * @function setSearchQueryParam
+   * @param {string} query - Query to store, empty string removes the parameter
+   */
+  function setSearchQueryParam(query) {
+    const url = new URL(window.location.href);
+    const current = url.searchParams.get(CONFIG.SEARCH_QUERY_PARAM) || '';
+    if (current === query) return;
+
+    if (query) {
+      url.searchParams.set(CONFIG.SEARCH_QUERY_PARAM, query);
+    } else {
+      url.searchParams.delete(CONFIG.SEARCH_QUERY_PARAM);
+    }
+
+    if (typeof history.replaceState === 'function') {
+      history.replaceState(history.state, '', `${url.pathname}${url.search}${url.hash}`);
+    }
+  }
+
+  function scheduleMissedQueryRecord() {
+    window.clearTimeout(state.search.missTimer);
+    if (!state.search.results || state.search.results.length) return;
+
+    const query = state.search.query.trim();
+    state.search.missTimer = window.setTimeout(() => recordMissedQuery(query), CONFIG.SEARCH_MISS_RECORD_DELAY);
+  }
+
+  /**
+   * Stores a query without results in localStorage so missing questions can be reviewed
+   * Entries are { query, count, lastSeen } keyed by the folded query
+   * @function recordMissedQuery
+   * @param {string} query - Query that returned nothing
+   */
+  function recordMissedQuery(query) {
+    if (!query) return;
+
+    const key = tokenizeQuery(query).join(' ');
+    const misses = readMissedQueries();
+    const existing = misses.find((miss) => miss.key === key);
+
+    if (existing) {
+      existing.count += 1;
+      existing.query = query;
+      existing.lastSeen = new Date().toISOString();
+    } else {
+      misses.push({ key, query, locale: state.locale, count: 1, lastSeen: new Date().toISOString() });
+    }
+
+    misses.sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+
+    try {
+      localStorage.setItem(CONFIG.SEARCH_MISS_STORAGE_KEY, JSON.stringify(misses.slice(0, CONFIG.SEARCH_MISS_LIMIT)));
+    } catch (error) {
+      console.warn('Failed to record missed search query:', error.message);
+    }
+  }
+
+  function readMissedQueries() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CONFIG.SEARCH_MISS_STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Sections to render, replaced by a single ranked group while searching
+   * @function getRenderSections
+   * @returns {Array<Object>} Sections with validItems
+   */
+  function getRenderSections() {
+    if (!state.search.results) return state.sections;
+    return [{ section: t('search.results'), validItems: state.search.results }];
+  }
+
+  /**
+   * Creates a search box bound to the shared search state
+   * @function createSearchBox
+   * @param {string} variant - 'desktop' or 'mobile', used for ids and styling
+   * @returns {HTMLElement} Search wrapper element
+   */
+  function createSearchBox(variant) {
+    const wrapper = document.createElement('div');
+    wrapper.className = `faq-search faq-search-${variant}`;
+    wrapper.setAttribute('role', 'search');
+
+    const inputId = `faqSearch-${variant}`;
+    const label = document.createElement('label');
+    label.className = 'visually-hidden';
+    label.htmlFor = inputId;
+    label.dataset.i18n = 'search.label';
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.id = inputId;
+    input.className = 'faq-search-input';
+    input.dataset.i18nPlaceholder = 'search.placeholder';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.value = state.search.query;
+    input.addEventListener('input', () => setSearchQuery(input.value));
+    input.addEventListener('keydown', handleSearchKeydown);
+
+    const status = document.createElement('p');
+    status.className = 'faq-search-status';
+    status.setAttribute('aria-live', 'polite');
+
+    wrapper.append(label, input, status);
+    applyTranslations(wrapper);
+    state.search.inputs.push(input);
+    return wrapper;
+  }
+
+  function ensureMobileSearchBox() {
+    if (!dom.accordion || dom.mobileSearch?.isConnected) return;
+    dom.mobileSearch = createSearchBox('mobile');
+    dom.accordion.before(dom.mobileSearch);
+  }
+
+  /**
+   * Adds the "expand all / collapse all" buttons and the multi-open switch above the accordion
+   * @function ensureAccordionToolbar
+   */
+  function ensureAccordionToolbar() {
+    if (!dom.accordion || dom.accordionToolbar?.isConnected) return;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'accordion-toolbar';
+    toolbar.setAttribute('role', 'group');
+    toolbar.dataset.i18nLabel = 'accordion.controls';
+
+    const createButton = (key, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'accordion-toolbar-btn';
+      button.dataset.i18n = key;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+
+    const multiOpen = document.createElement('label');
+    multiOpen.className = 'accordion-multi-open';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state.disclosure.multiOpen;
+    checkbox.addEventListener('change', () => {
+      state.disclosure.multiOpen = checkbox.checked;
+      saveDisclosureState();
+    });
+    const text = document.createElement('span');
+    text.dataset.i18n = 'accordion.multiOpen';
+    multiOpen.append(checkbox, text);
+
+    toolbar.append(
+      createButton('accordion.expandAll', expandAll),
+      createButton('accordion.collapseAll', collapseAll),
+      multiOpen
+    );
+    applyTranslations(toolbar);
+
+    dom.accordion.before(toolbar);
+    dom.accordionToolbar = toolbar;
+  }
+
+  /**
+   * Enter opens the best match, Escape clears the query
+   * @param {KeyboardEvent} event - Keydown event from a search input
+   */
+  function handleSearchKeydown(event) {
+    if (event.key === 'Escape' && state.search.query) {
+      event.preventDefault();
+      setSearchQuery('');
+      return;
+    }
+
+    if (event.key === 'Enter') {
+      const [best] = state.search.results || [];
+      if (!best) return;
+      event.preventDefault();
+      applyActiveQuestion(best.id, { syncHash: true, pushHistory: true, scrollMobile: isMobileLayout() });
+    }
+  }
+
+  function updateSearchStatus() {
+    const { results } = state.search;
+    const text = results ? t('search.status', { count: results.length }) : '';
+
+    state.search.inputs.forEach((input) => {
+      const status = input.parentElement?.querySelector('.faq-search-status');
+      if (status) status.textContent = text;
+    });
+  }
+
+  /**
+   * Builds the "no results" panel pointing at the social channels
+   * @function createSearchEmptyState
+   * @param {string} variant - 'desktop' or 'mobile', selects per-layout channel URLs
+   * @returns {HTMLElement} Empty state panel
+   */
+  function createSearchEmptyState(variant) {
+    const empty = document.createElement('div');
+    empty.className = 'question-empty search-empty';
+    empty.setAttribute('role', 'status');
+
+    const message = document.createElement('p');
+    message.textContent = t('search.empty', { query: state.search.query.trim() });
+    empty.appendChild(message);
+
+    if (!state.socials.length) return empty;
+
+    const hint = document.createElement('p');
+    hint.textContent = t('search.emptyHint');
+    empty.appendChild(hint);
+
+    const list = document.createElement('ul');
+    list.className = 'search-empty-channels';
+
+    state.socials.forEach((channel) => {
+      const li = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'search-empty-channel';
+      link.href = getSocialUrl(channel, variant);
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.dataset.social = channel.name;
+
+      if (channel.icon) {
+        const img = document.createElement('img');
+        img.src = channel.icon;
+        img.alt = '';
+        img.setAttribute('aria-hidden', 'true');
+        link.appendChild(img);
+      }
+
+      link.append(channel.label);
+      li.appendChild(link);
+      list.appendChild(li);
+    });
+
+    empty.appendChild(list);
+    return empty;
+  }
+
+  /**
+   * Wraps search term occurrences inside text nodes with <mark>
+   * @function highlightMatches
+   * @param {HTMLElement} root - Rendered content to highlight
+   * @param {string[]} terms - Folded search terms
+   */
+  function highlightMatches(root, terms) {
+    if (!root || !terms.length) return;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach((node) => {
+      const text = node.nodeValue;
+      const ranges = findMatchRanges(text, terms);
+      if (!ranges.length) return;
+
+      const fragment = document.createDocumentFragment();
+      let cursor = 0;
+
+      ranges.forEach(([start, end]) => {
+        if (start > cursor) fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+        const mark = document.createElement('mark');
+        mark.className = CONFIG.SEARCH_HIT_CLASS;
+        mark.textContent = text.slice(start, end);
+        fragment.appendChild(mark);
+        cursor = end;
+      });
+
+      if (cursor < text.length) fragment.appendChild(document.createTextNode(text.slice(cursor)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+  }
+
+  /**
+   * Renders answer HTML into a container and highlights the active query
+   * @param {HTMLElement} container - Answer body element
+   * @param {string} html - Answer markup
+   */
+  function renderAnswerContent(container, html) {
+    container.replaceChildren(sanitizeHtml(html));
+    highlightMatches(container, state.search.terms);
+  }
+
+  function refreshDesktopAnswer() {
+    const answer = dom.viewer?.querySelector('.answer');
+    const entry = state.questions.get(state.activeId);
+    if (!answer || !entry) return;
+    renderAnswerContent(answer, formatAnswer(entry.answer));
+  }
+
+  /**
+   * Renders the desktop sidebar with question navigation
+   * Creates section headings and clickable question links
+   * @function renderDesktop
+   */
+  function renderDesktop() {
+    const content = ensureSidebarContent();
+    if (!content) return;
+
+    const fragment = document.createDocumentFragment();
+    const sections = getRenderSections();
+
+    sections.forEach((section) => {
+      if (!getValidItems(section).length) return;
+      fragment.appendChild(renderView(Render.sideSectionView(section, { locale: state.locale })));
+    });
+
+    if (state.search.results && !state.search.results.length) {
+      fragment.appendChild(createSearchEmptyState('desktop'));
+    }
+
+    content.appendChild(fragment);
+    applySectionStates(dom.sidebar);
+    addChangeBadges(content);
+    collectSidebarElements();
+    bindRenderedListeners();
+    resetRovingTabindex(dom.sidebar);
+  }
+
+  function ensureSidebarContent() {
+    if (!dom.sidebar) return null;
+
+    // Re-rendering only swaps the list so the search input keeps focus while typing
+    if (dom.sidebarContent?.isConnected) {
+      dom.sidebarContent.innerHTML = '';
+      state.elements.sidebar.clear();
+      return dom.sidebarContent;
+    }
+
+    dom.sidebar.classList.add('card-surface');
+    dom.sidebar.innerHTML = '';
+    state.search.inputs = state.search.inputs.filter((input) => input.isConnected);
+    dom.sidebar.appendChild(createSearchBox('desktop'));
+
+    const content = document.createElement('div');
+    content.className = 'sidebar-content';
+    dom.sidebar.appendChild(content);
+    dom.sidebarContent = content;
+
+    dom.sidebar.appendChild(renderView(Render.sidebarFooterView()));
+
+    state.elements.sidebar.clear();
+    return content;
+  }
+
+  /**
+   * Renders the mobile accordion interface
+   * Creates expandable accordion items and static blocks
+   * @function renderMobile
+   */
+  function renderMobile() {
+    if (!dom.accordion) return;
+
+    ensureMobileSearchBox();
+    ensureAccordionToolbar();
+    dom.accordion.innerHTML = '';
+
+    const fragment = document.createDocumentFragment();
+    const sections = getRenderSections();
+
+    sections.forEach((section) => {
+      if (!getValidItems(section).length) return;
+      fragment.appendChild(renderView(Render.mobileSectionView(section, getRelatedOptions())));
+    });
+
+    if (state.search.results && !state.search.results.length) {
+      fragment.appendChild(createSearchEmptyState('mobile'));
+    }
+
+    dom.accordion.appendChild(fragment);
+    applySectionStates(dom.accordion);
+    addChangeBadges(dom.accordion);
+    collectAccordionElements();
+    addPanelActions();
+    bindRenderedListeners();
+    restoreOpenPanels();
+    resetRovingTabindex(dom.accordion);
+
+    if (state.activeId) {
+      syncMobileAccordion(state.activeId, { scroll: false, focus: false, exclusive: false });
+    }
+  }
+
+  /**
+   * Turns IntersophiaRender views into DOM nodes, sanitizing answers and highlighting matches
+   * @function renderView
+   * @param {Object|Array} view - Node description(s) from IntersophiaRender
+   * @returns {Node} Rendered nodes
+   */
+  function renderView(view) {
+    const node = Render.toDom(view, { document, html: sanitizeHtml });
+
+    if (state.search.terms.length) {
+      const root = document.createDocumentFragment();
+      root.appendChild(node);
+      root.querySelectorAll(HIGHLIGHT_TARGETS).forEach((target) => highlightMatches(target, state.search.terms));
+      return root;
+    }
+    return node;
+  }
+
+  /**
+   * Attaches to sidebar and accordion markup written by scripts/prerender.js
+   * Adds the search boxes and event listeners instead of rebuilding the lists.
+   * @function adoptPrerenderedMarkup
+   * @returns {boolean} False when the markup is missing and a full render is needed
+   */
+  function adoptPrerenderedMarkup() {
+    const content = dom.sidebar?.querySelector('.sidebar-content');
+    if (!content || !dom.accordion) return false;
+
+    dom.sidebar.insertBefore(createSearchBox('desktop'), dom.sidebar.firstChild);
+    dom.sidebarContent = content;
+    ensureMobileSearchBox();
+    ensureAccordionToolbar();
+
+    applySectionStates(dom.sidebar);
+    applySectionStates(dom.accordion);
+    addChangeBadges(content);
+    addChangeBadges(dom.accordion);
+    collectSidebarElements();
+    collectAccordionElements();
+    addPanelActions();
+    bindRenderedListeners();
+    restoreOpenPanels();
+    resetRovingTabindex(dom.sidebar);
+    resetRovingTabindex(dom.accordion);
+    return true;
+  }
+
+  /**
+   * Reads (once) the fingerprint scripts/prerender.js stored with the markup
+   * Removed on first use: later renders replace the markup, so it no longer applies.
+   * @function takePrerenderKey
+   * @returns {string|null} Fingerprint from IntersophiaRender.renderKey
+   */
+  function takePrerenderKey() {
+    const meta = document.querySelector('meta[name="faq-prerender"]');
+    if (!meta) return null;
+    meta.remove();
+    return meta.content;
+  }
+
+  function collectSidebarElements() {
+    state.elements.sidebar.clear();
+    dom.sidebarContent?.querySelectorAll('.side-link[data-question-id]').forEach((button) => {
+      state.elements.sidebar.set(button.dataset.questionId, button);
+    });
+  }
+
+  function collectAccordionElements() {
+    state.elements.accordion.clear();
+    dom.accordion?.querySelectorAll('.acc-item[data-question-id]').forEach((item) => {
+      state.elements.accordion.set(item.dataset.questionId, {
+        item,
+        button: item.querySelector('.acc-btn'),
+        panel: item.querySelector('.acc-panel'),
+      });
+    });
+  }
+
+  function bindRenderedListeners() {
+    if (!state.bound.sidebar && dom.sidebar) {
+      dom.sidebar.addEventListener('click', handleSidebarClick);
+      dom.sidebar.addEventListener('keydown', handleRovingKeydown);
+      dom.sidebar.addEventListener('focusin', handleRovingFocus);
+      state.bound.sidebar = true;
+    }
+
+    if (!state.bound.accordion && dom.accordion) {
+      dom.accordion.addEventListener('click', handleAccordionClick);
+      dom.accordion.addEventListener('keydown', handleRovingKeydown);
+      dom.accordion.addEventListener('focusin', handleRovingFocus);
+      state.bound.accordion = true;
+    }
+  }
+
+  /**
+   * Feedback and share controls under an answer (desktop card and accordion panels)
+   * @function createQuestionActions
+   * @param {Object} entry - Question entry
+   * @returns {HTMLElement} Actions row
+   */
+  function createQuestionActions(entry) {
+    const actions = document.createElement('div');
+    actions.className = 'question-actions';
+    actions.append(...[createFeedbackWidget(entry), createShareButton(entry)].filter(Boolean));
+    return actions;
+  }
+
+  // Panels come from IntersophiaRender views (also pre-rendered), so their controls are added here
+  function addPanelActions() {
+    state.elements.accordion.forEach(({ panel }, id) => {
+      const body = panel.querySelector('.acc-body');
+      const entry = state.questions.get(id);
+      if (!body || !entry || body.querySelector('.question-actions')) return;
+
+      body.appendChild(createQuestionActions(entry));
+      setPanelAccessibilityState(panel, panel.classList.contains('open'));
+    });
+  }
+
+  function getValidItems(section) {
+    // Return pre-cached valid items instead of processing on each call
+    return section?.validItems || [];
   }
 
   /**
@@ -484,30 +1590,50 @@
    */
   function updateDesktopQuestionContent(entry) {
     dom.viewer.setAttribute('tabindex', '0');
-    dom.viewer.innerHTML = `
-      <article class="question card-surface" data-question-id="${entry.id}" aria-label="${entry.question}">
-        <div class="answer">${entry.answer}</div>
-      </article>
-    `;
 
-    const article = dom.viewer.querySelector('.question');
-    if (article) {
-      article.classList.remove('question-animate');
+    // Built with DOM APIs so question text never lands in markup or attribute strings
+    const article = document.createElement('article');
+    article.className = 'question card-surface';
+    article.dataset.questionId = entry.id;
+    article.setAttribute('aria-label', entry.question);
+    setContentLang(article, entry);
+
+    const answer = document.createElement('div');
+    answer.className = 'answer';
+    renderAnswerContent(answer, formatAnswer(entry.answer));
+    article.appendChild(answer);
+
+    const related = Render.relatedView(entry, getRelatedOptions());
+    if (related) article.appendChild(renderView(related));
+
+    article.appendChild(createQuestionActions(entry));
+
+    const pager = createQuestionPager(entry);
+    if (pager) article.appendChild(pager);
+
+    dom.viewer.replaceChildren(article);
+
+    // Paging keeps focus on the pager instead of dropping it with the old card
+    if (state.pagerFocus) {
+      const buttons = Array.from(pager?.querySelectorAll('.question-pager-btn') ?? []);
+      const direction = Navigation.getPagerFocusDirection(state.pagerFocus, buttons.map((button) => button.dataset.direction));
+      buttons.find((button) => button.dataset.direction === direction)?.focus({ preventScroll: true });
+      state.pagerFocus = null;
+    }
+
+    // Remove fade out and add fade in
+    dom.viewer.classList.remove('content-fade-out');
+    if (!prefersReducedMotion()) {
+      dom.viewer.classList.add('content-fade-in');
+      setTimeout(() => dom.viewer.classList.remove('content-fade-in'), 300);
       
-      // Remove fade out and add fade in
-      dom.viewer.classList.remove('content-fade-out');
-      if (!prefersReducedMotion()) {
-        dom.viewer.classList.add('content-fade-in');
-        setTimeout(() => dom.viewer.classList.remove('content-fade-in'), 300);
-        
-        void article.offsetWidth;
-        article.classList.add('question-animate');
-        article.addEventListener(
-          'animationend',
-          () => article.classList.remove('question-animate'),
-          { once: true }
-        );
-      }
+      void article.offsetWidth;
+      article.classList.add('question-animate');
+      article.addEventListener(
+        'animationend',
+        () => article.classList.remove('question-animate'),
+        { once: true }
+      );
     }
 
     scrollTo({ target: dom.viewer, mode: 'container' });
@@ -528,24 +1654,49 @@
    * @param {string} id - Question ID to activate
    * @param {Object} options - Configuration options
    * @param {boolean} [options.syncHash=true] - Whether to update URL hash
+   * @param {boolean} [options.pushHistory=false] - Add a history entry instead of replacing the current one;
+   *   only for changes the user started (clicks, pager, search Enter) so Back returns to the previous question
    * @param {boolean} [options.scrollMobile=false] - Whether to scroll on mobile
    */
-  function applyActiveQuestion(id, { syncHash = true, scrollMobile = false } = {}) {
+  function applyActiveQuestion(id, { syncHash = true, pushHistory = false, scrollMobile = false } = {}) {
     if (!id || !state.questions.has(id)) return;
 
+    const previousId = state.activeId;
     state.activeId = id;
+    revealSection(id);
     renderDesktopQuestion(id);
     updateSidebarActive(id);
-    if (syncHash) setHashQuestionId(id);
+    if (syncHash) setHashQuestionId(id, { push: pushHistory });
     syncMobileAccordion(id, { scroll: scrollMobile, focus: false });
+    resetRovingTabindex(dom.sidebar);
+    resetRovingTabindex(dom.accordion);
+    updatePageMeta(state.questions.get(id));
+
+    const { highlightSocials } = state.questions.get(id);
+    if (highlightSocials.length) {
+      triggerSocialGlow(highlightSocials);
+    }
 
-    const glowIndices = CONFIG.SOCIAL_GLOW_MAPPING.get(id);
-    if (glowIndices) {
-      triggerSocialGlow(glowIndices);
+    if (id !== previousId) {
+      dispatchFaqEvent('questionchange', {
+        ...toPublicQuestion(state.questions.get(id)),
+        previousId,
+      });
     }
+    recordQuestionView(id);
   }
 
-  function syncMobileAccordion(id, { scroll = false, focus = false } = {}) {
+  /**
+   * Opens the accordion panel of a question
+   * @function syncMobileAccordion
+   * @param {string} id - Question ID
+   * @param {Object} [options]
+   * @param {boolean} [options.scroll=false] - Scroll the question into view
+   * @param {boolean} [options.focus=false] - Focus its button
+   * @param {boolean} [options.exclusive] - Close the other panels; defaults to single-open mode.
+   *   Renders and layout switches pass false so restored panels stay open.
+   */
+  function syncMobileAccordion(id, { scroll = false, focus = false, exclusive = !state.disclosure.multiOpen } = {}) {
     if (!id || !state.elements.accordion.size) return;
 
     const targetEntry = state.elements.accordion.get(id);
@@ -553,11 +1704,7 @@
 
     const { panel, button } = targetEntry;
 
-    state.elements.accordion.forEach((entry, questionId) => {
-      if (questionId !== id && entry.panel.classList.contains('open')) {
-        collapsePanel(entry.panel);
-      }
-    });
+    if (exclusive) collapseOtherPanels(id);
 
     if (!panel.classList.contains('open')) {
       expandPanel(panel, { scroll });
@@ -585,6 +1732,7 @@
     panel.style.opacity = '1';
     adjustPanelHeight(panel);
     setPanelAccessibilityState(panel, true);
+    rememberPanel(panel, true);
 
     if (button) {
       button.classList.add('is-active');
@@ -628,6 +1776,7 @@
     panel.style.opacity = '0';
     panel.classList.remove('open');
     setPanelAccessibilityState(panel, false);
+    rememberPanel(panel, false);
 
     if (button) {
       button.classList.remove('is-active');
@@ -652,6 +1801,11 @@
     if (body) {
       body.setAttribute('tabindex', isOpen ? '0' : '-1');
     }
+
+    // Keeps the suggestions, feedback and share controls of closed panels out of the tab order
+    panel.querySelectorAll('.related, .question-actions').forEach((element) => {
+      element.toggleAttribute('inert', !isOpen);
+    });
   }
 
   function getMobileScrollOffset() {
@@ -672,20 +1826,17 @@
   /**
    * Triggers glow animation on social media icons
    * @function triggerSocialGlow
-   * @param {Array<number>} [indices=[0]] - Array of icon indices to animate (0=Facebook, 1=Messenger, 2=OneNote)
+   * @param {Array<string>} [names=[]] - data-social names of the icons to animate
    * @example
-   * triggerSocialGlow([0, 1]); // Glows Facebook and Messenger
-   * triggerSocialGlow([2]);    // Glows OneNote only
+   * triggerSocialGlow(['facebook', 'messenger']); // Glows Facebook and Messenger
+   * triggerSocialGlow(['onenote']);               // Glows OneNote only
    */
-  function triggerSocialGlow(indices = [0]) {
+  function triggerSocialGlow(names = []) {
     // Use cached icons for better performance
-    const { desktop: desktopIcons, mobile: mobileIcons } = dom.socialIcons || { desktop: [], mobile: [] };
+    const { desktop: desktopIcons, mobile: mobileIcons } = dom.socialIcons || { desktop: new Map(), mobile: new Map() };
 
-    const icons = indices
-      .flatMap((index) => {
-        if (typeof index !== 'number' || Number.isNaN(index)) return [];
-        return [desktopIcons[index], mobileIcons[index]].filter(Boolean);
-      })
+    const icons = names
+      .flatMap((name) => [desktopIcons.get(name), mobileIcons.get(name)])
       .filter(Boolean);
 
     const uniqueIcons = Array.from(new Set(icons));
@@ -722,6 +1873,8 @@
    * @param {Event} event - Click event from accordion button
    */
   function handleAccordionClick(event) {
+    if (handleSectionToggleClick(event)) return;
+
     const button = event.target.closest('.acc-btn');
     if (!button) return;
 
@@ -732,11 +1885,7 @@
     const { panel } = state.elements.accordion.get(id);
     const isOpen = panel.classList.contains('open');
 
-    state.elements.accordion.forEach((entry, questionId) => {
-      if (questionId !== id && entry.panel.classList.contains('open')) {
-        collapsePanel(entry.panel);
-      }
-    });
+    if (!state.disclosure.multiOpen) collapseOtherPanels(id);
 
     if (isOpen) {
       collapsePanel(panel);
@@ -744,7 +1893,7 @@
     }
 
     expandPanel(panel);
-    applyActiveQuestion(id, { syncHash: true, scrollMobile: false });
+    applyActiveQuestion(id, { syncHash: true, pushHistory: true, scrollMobile: false });
   }
 
   /**
@@ -753,6 +1902,8 @@
    * @param {Event} event - Click event from sidebar link
    */
   function handleSidebarClick(event) {
+    if (handleSectionToggleClick(event)) return;
+
     const button = event.target.closest('.side-link');
     if (!button) return;
 
@@ -764,7 +1915,7 @@
       return;
     }
 
-    applyActiveQuestion(id, { syncHash: true, scrollMobile: false });
+    applyActiveQuestion(id, { syncHash: true, pushHistory: true, scrollMobile: false });
   }
 
   function refreshOpenPanels() {
@@ -835,16 +1986,29 @@
     scrollTo({ target: dom.viewer, mode: 'container' });
   }
 
-  function setHashQuestionId(id) {
+  /**
+   * Writes the question id to the URL hash
+   * @function setHashQuestionId
+   * @param {string} id - Question ID
+   * @param {Object} [options]
+   * @param {boolean} [options.push=false] - New history entry; the current one keeps its scroll positions
+   */
+  function setHashQuestionId(id, { push = false } = {}) {
     if (!id) return;
     const encoded = encodeURIComponent(id);
     const current = window.location.hash.replace(/^#/, '');
     if (current === encoded) return;
 
-    if (typeof history.replaceState === 'function') {
-      history.replaceState(null, '', `#${encoded}`);
-    } else {
+    if (typeof history.replaceState !== 'function') {
       window.location.hash = `#${encoded}`;
+      return;
+    }
+
+    if (push) {
+      saveScrollState();
+      history.pushState({ questionId: id }, '', `#${encoded}`);
+    } else {
+      history.replaceState({ ...history.state, questionId: id }, '', `#${encoded}`);
     }
   }
 
@@ -880,6 +2044,12 @@
     const candidate = resolveQuestionId(extractHashId());
     if (!candidate) return;
 
+    // Back/Forward: handlePopState already restored the question and the scroll positions
+    if (candidate === state.poppedQuestionId) {
+      state.poppedQuestionId = null;
+      return;
+    }
+
     if (candidate === state.activeId) {
       syncMobileAccordion(candidate, { scroll: isMobileLayout(), focus: false });
       return;
@@ -888,69 +2058,853 @@
     applyActiveQuestion(candidate, { syncHash: false, scrollMobile: isMobileLayout() });
   }
 
+  // ===== HISTORY =====
+
   /**
-   * Enhanced keyboard navigation handler
-   * Supports arrow keys for navigation and Enter/Space for activation
-   * @param {KeyboardEvent} event - The keyboard event
+   * Back/Forward between question entries: shows the question and scrolls the sidebar
+   * and the page (accordion) back to where they were when the entry was left
+   * @function handlePopState
+   * @param {PopStateEvent} event - popstate event
    */
-  function handleKeyboardNavigation(event) {
-    const { key, target, ctrlKey, metaKey } = event;
-    
-    // Show keyboard navigation hint on first use
-    if (['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(key)) {
-      if (!document.body.classList.contains('keyboard-navigation')) {
-        document.body.classList.add('keyboard-navigation');
-        setTimeout(() => document.body.classList.remove('keyboard-navigation'), 3000);
-      }
-    }
-    
-    // Don't interfere with form inputs or when modifier keys are pressed
-    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || ctrlKey || metaKey) {
-      return;
+  function handlePopState(event) {
+    const id = resolveQuestionId(event.state?.questionId ?? extractHashId());
+    if (!id) return;
+
+    state.poppedQuestionId = id;
+    if (id !== state.activeId) {
+      applyActiveQuestion(id, { syncHash: false, scrollMobile: false });
     }
+    restoreScrollState(event.state);
+  }
 
-    const isMobile = isMobileLayout();
-    const questionIds = Array.from(questionIndex.keys());
-    const currentIndex = questionIds.indexOf(state.activeId);
+  // Stored in the current entry so Back and Forward both find it
+  function saveScrollState() {
+    window.clearTimeout(state.scrollSaveTimer);
+    if (typeof history.replaceState !== 'function') return;
+
+    history.replaceState({
+      ...history.state,
+      scroll: {
+        sidebar: dom.sidebar?.scrollTop ?? 0,
+        page: window.scrollY,
+      },
+    }, '');
+  }
 
-    switch (key) {
-      case 'ArrowDown':
-      case 'ArrowRight':
-        event.preventDefault();
-        navigateToQuestion(currentIndex + 1, questionIds, isMobile);
-        break;
-        
-      case 'ArrowUp':
-      case 'ArrowLeft':
-        event.preventDefault();
-        navigateToQuestion(currentIndex - 1, questionIds, isMobile);
-        break;
-        
-      case 'Home':
-        event.preventDefault();
-        navigateToQuestion(0, questionIds, isMobile);
-        break;
-        
-      case 'End':
-        event.preventDefault();
-        navigateToQuestion(questionIds.length - 1, questionIds, isMobile);
-        break;
-        
-      case 'Enter':
-      case ' ':
-        // Handle activation when focused on sidebar links or accordion buttons
-        if (target.classList.contains('side-link') || target.classList.contains('acc-btn')) {
-          event.preventDefault();
-          target.click();
-        }
-        break;
-    }
+  function scheduleScrollStateSave() {
+    window.clearTimeout(state.scrollSaveTimer);
+    state.scrollSaveTimer = window.setTimeout(saveScrollState, CONFIG.HISTORY_SCROLL_SAVE_DELAY);
+  }
+
+  function restoreScrollState(entryState) {
+    const scroll = entryState?.scroll;
+    if (!scroll) return;
+
+    // After the accordion panels have been resized for the restored question
+    requestAnimationFrame(() => {
+      if (dom.sidebar) dom.sidebar.scrollTop = scroll.sidebar;
+      window.scrollTo({ top: scroll.page, behavior: 'auto' });
+    });
+  }
+
+  // ===== RELATED QUESTIONS =====
+
+  // View options for answers: the titles of their "see also" / "read next" links
+  function getRelatedOptions() {
+    return {
+      locale: state.locale,
+      relatedTitle: t('related.title'),
+      readNextTitle: t('related.next'),
+    };
+  }
+
+  /**
+   * Opens a suggested question like a sidebar click (new history entry) instead of following the #id link
+   * @function handleRelatedClick
+   * @param {MouseEvent} event - Click anywhere in the document
+   */
+  function handleRelatedClick(event) {
+    const link = event.target.closest?.('.related-link');
+    if (!link || event.defaultPrevented || event.button !== 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return; // New tab / window
+
+    const id = link.dataset.questionId;
+    if (!state.questions.has(id)) return;
+
+    event.preventDefault();
+    const mobile = isMobileLayout();
+    applyActiveQuestion(id, { syncHash: true, pushHistory: true, scrollMobile: mobile });
+
+    // The link itself is gone (desktop card re-rendered) or in a panel that just closed
+    if (mobile) {
+      state.elements.accordion.get(id)?.button?.focus({ preventScroll: true });
+    } else {
+      dom.viewer?.focus({ preventScroll: true });
+    }
+  }
+
+  // ===== SHARING =====
+
+  /**
+   * Canonical link to a question: the page address without query parameters, plus #id
+   * A <link rel="canonical"> in index.html wins over the current address.
+   * @function getQuestionUrl
+   * @param {string} id - Question ID (resolveQuestionId also accepts it with or without `q-`)
+   * @returns {string} Absolute URL
+   */
+  function getQuestionUrl(id) {
+    const url = getPageUrl();
+    url.hash = encodeURIComponent(id);
+    return url.href;
+  }
+
+  function getPageUrl() {
+    const canonical = document.querySelector('link[rel="canonical"]')?.href;
+    const url = new URL(canonical || window.location.href);
+    url.search = '';
+    url.hash = '';
+    return url;
+  }
+
+  function createShareButton(entry) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'share-btn';
+    button.dataset.questionId = entry.id;
+    button.textContent = t('share.button');
+    button.setAttribute('aria-label', t('share.label', { question: entry.question }));
+    button.addEventListener('click', () => shareQuestion(entry.id));
+    return button;
+  }
+
+  /**
+   * Shares a question link with the Web Share API, or copies it to the clipboard
+   * @async
+   * @function shareQuestion
+   * @param {string} id - Question ID
+   */
+  async function shareQuestion(id) {
+    const entry = state.questions.get(id);
+    if (!entry) return;
+
+    const url = getQuestionUrl(id);
+
+    if (typeof navigator.share === 'function') {
+      try {
+        await navigator.share({ title: entry.question, url });
+        return;
+      } catch (error) {
+        // Closing the share sheet is not an error; anything else falls back to copying
+        if (error.name === 'AbortError') return;
+      }
+    }
+
+    try {
+      await copyText(url);
+      showPageNotice({ id: 'faqShareNotice', message: t('share.copied'), timeout: CONFIG.SHARE_NOTICE_TIMEOUT_MS });
+    } catch (error) {
+      console.warn('Failed to copy question link:', error.message);
+      showPageNotice({ id: 'faqShareNotice', message: t('share.failed', { url }) });
+    }
+  }
+
+  async function copyText(text) {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+
+    // Older browsers and non-secure origins (e.g. http:// on a LAN address)
+    const field = document.createElement('textarea');
+    field.value = text;
+    field.setAttribute('readonly', '');
+    field.className = 'visually-hidden';
+    document.body.appendChild(field);
+    field.select();
+    const copied = document.execCommand('copy');
+    field.remove();
+    if (!copied) throw new Error('Copy command was rejected');
+  }
+
+  /**
+   * Saves text as a file through a temporary download link
+   * @function downloadFile
+   * @param {string} text - File content
+   * @param {string} fileName - Suggested file name
+   * @param {string} type - MIME type (saved as UTF-8)
+   */
+  function downloadFile(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // ===== FEEDBACK =====
+
+  /**
+   * Builds the feedback adapter and rate limiter once
+   * Without localStorage (privacy mode, blocked site data) the rate limiter works in memory and
+   * the storage adapter is turned off, as it would lose every response on reload; the widget is
+   * then hidden. Adapters that send responses elsewhere (POST) keep working.
+   * @function getFeedback
+   * @returns {{adapter: Object, limiter: Object, enabled: boolean}} Feedback setup
+   */
+  function getFeedback() {
+    if (!state.feedback) {
+      const storage = getFeedbackStorage();
+      let adapter = null;
+      if (storage || CONFIG.FEEDBACK_ADAPTER?.type !== 'storage') {
+        try {
+          adapter = Feedback.createAdapter(CONFIG.FEEDBACK_ADAPTER, { storage, fetch: window.fetch.bind(window) });
+        } catch (error) {
+          console.warn('Feedback disabled:', error.message);
+        }
+      }
+
+      state.feedback = {
+        // The in-memory adapter only keeps Intersophia.exportFeedback() working
+        adapter: adapter || Feedback.createStorageAdapter(Feedback.createMemoryStorage(), 'feedback'),
+        limiter: Feedback.createRateLimiter(storage || Feedback.createMemoryStorage(),
+          CONFIG.FEEDBACK_SENT_STORAGE_KEY, CONFIG.FEEDBACK_COOLDOWN_MS),
+        enabled: Boolean(adapter),
+      };
+    }
+    return state.feedback;
+  }
+
+  // Looking up localStorage throws (or returns null) when site data is blocked
+  function getFeedbackStorage() {
+    try {
+      const storage = window.localStorage;
+      storage.getItem(CONFIG.FEEDBACK_SENT_STORAGE_KEY);
+      return storage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * "Was this helpful?" thumbs; a vote opens an optional comment field and a send button
+   * Questions answered within FEEDBACK_COOLDOWN_MS only show the thank-you message.
+   * @function createFeedbackWidget
+   * @param {Object} entry - Question entry
+   * @returns {HTMLElement|null} Widget, null when there is no adapter to send responses to (see getFeedback)
+   */
+  function createFeedbackWidget(entry) {
+    if (!getFeedback().enabled) return null;
+
+    const widget = document.createElement('div');
+    widget.className = 'feedback';
+    widget.dataset.questionId = entry.id;
+    widget.setAttribute('role', 'group');
+    widget.setAttribute('aria-label', t('feedback.label'));
+
+    const status = document.createElement('p');
+    status.className = 'feedback-status';
+    status.setAttribute('role', 'status');
+
+    if (!getFeedback().limiter.canSend(entry.id)) {
+      status.textContent = t('feedback.thanks');
+      widget.appendChild(status);
+      return widget;
+    }
+
+    const prompt = document.createElement('p');
+    prompt.className = 'feedback-prompt';
+    prompt.textContent = t('feedback.question');
+
+    const votes = document.createElement('div');
+    votes.className = 'feedback-votes';
+    [true, false].forEach((helpful) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'feedback-vote';
+      button.dataset.helpful = String(helpful);
+      button.textContent = helpful ? '👍' : '👎';
+      button.setAttribute('aria-label', t(helpful ? 'feedback.yes' : 'feedback.no'));
+      button.setAttribute('aria-pressed', 'false');
+      button.addEventListener('click', () => selectFeedbackVote(widget, entry, helpful));
+      votes.appendChild(button);
+    });
+
+    widget.append(prompt, votes, status);
+    return widget;
+  }
+
+  function selectFeedbackVote(widget, entry, helpful) {
+    widget.querySelectorAll('.feedback-vote').forEach((button) => {
+      button.setAttribute('aria-pressed', String(button.dataset.helpful === String(helpful)));
+    });
+    widget.dataset.helpful = String(helpful);
+
+    if (widget.querySelector('.feedback-form')) return;
+
+    const form = document.createElement('form');
+    form.className = 'feedback-form';
+
+    const fieldId = `feedback-${widget.closest('.acc-panel') ? 'panel' : 'card'}-${entry.id}`;
+    const label = document.createElement('label');
+    label.className = 'visually-hidden';
+    label.htmlFor = fieldId;
+    label.textContent = t('feedback.commentLabel');
+
+    const comment = document.createElement('textarea');
+    comment.id = fieldId;
+    comment.className = 'feedback-comment';
+    comment.rows = 2;
+    comment.maxLength = Feedback.COMMENT_MAX_LENGTH;
+    comment.placeholder = t('feedback.commentPlaceholder');
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'feedback-send';
+    submit.textContent = t('feedback.send');
+
+    form.append(label, comment, submit);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      submitFeedback(widget, entry, submit);
+    });
+
+    widget.querySelector('.feedback-status').before(form);
+    if (typeof comment.focus === 'function') comment.focus({ preventScroll: true });
+  }
+
+  /**
+   * Sends the selected vote and comment through the configured adapter
+   * @async
+   * @function submitFeedback
+   * @param {HTMLElement} widget - Feedback widget
+   * @param {Object} entry - Question entry
+   * @param {HTMLButtonElement} submit - Send button, disabled while sending
+   */
+  async function submitFeedback(widget, entry, submit) {
+    const { adapter, limiter } = getFeedback();
+    const status = widget.querySelector('.feedback-status');
+
+    if (!limiter.canSend(entry.id)) {
+      showFeedbackThanks(entry.id);
+      return;
+    }
+
+    const record = Feedback.normalizeRecord({
+      questionId: entry.id,
+      helpful: widget.dataset.helpful === 'true',
+      comment: widget.querySelector('.feedback-comment')?.value,
+      locale: state.locale,
+    });
+
+    submit.disabled = true;
+    try {
+      await adapter.send(record);
+    } catch (error) {
+      console.warn('Failed to send feedback:', error.message);
+      status.textContent = t('feedback.failed');
+      submit.disabled = false;
+      return;
+    }
+
+    limiter.markSent(entry.id);
+    showFeedbackThanks(entry.id);
+    dispatchFaqEvent('feedback', record);
+  }
+
+  // The same question has a widget in the desktop card and in its accordion panel
+  function showFeedbackThanks(questionId) {
+    document.querySelectorAll('.feedback').forEach((widget) => {
+      if (widget.dataset.questionId !== questionId) return;
+
+      const status = document.createElement('p');
+      status.className = 'feedback-status';
+      status.setAttribute('role', 'status');
+      status.textContent = t('feedback.thanks');
+      widget.replaceChildren(status);
+    });
+  }
+
+  // ===== UPCOMING MEETINGS =====
+
+  /**
+   * Loads the meeting list; the FAQ still works without it, so failures only log
+   * @async
+   * @function loadEvents
+   * @returns {Promise<Object|null>} Parsed events.json, null when unavailable
+   */
+  async function loadEvents() {
+    try {
+      return await fetchJson(CONFIG.EVENTS_DATA_URL);
+    } catch (error) {
+      console.error('Failed to load meetings from events.json:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Renders the "next meeting" card above the desktop answer and the mobile accordion
+   * Uses the client clock: the card re-renders when the soonest meeting ends, so past
+   * meetings drop out without a reload, and hides once none are left.
+   * @function renderEvents
+   */
+  function renderEvents() {
+    clearTimeout(state.eventsTimer);
+    const meetings = state.eventsSource
+      ? Events.upcomingMeetings(state.eventsSource, { limit: CONFIG.EVENTS_LIMIT })
+      : [];
+
+    ensureEventsCards().forEach((card) => {
+      card.hidden = !meetings.length;
+      card.replaceChildren(...(meetings.length ? createEventsContent(meetings, card.dataset.layout) : []));
+    });
+    if (!meetings.length) return;
+
+    const soonestEnd = Math.min(...meetings.map(({ end }) => end.getTime()));
+    state.eventsTimer = setTimeout(renderEvents, Math.min(soonestEnd - Date.now() + 1000, CONFIG.EVENTS_RECHECK_MS));
+  }
+
+  // Persistent cards: above the answer card on desktop, under the socials bar on mobile
+  function ensureEventsCards() {
+    const anchors = {
+      desktop: [dom.viewer, 'before'],
+      mobile: [document.querySelector('.socials-mobile'), 'after'],
+    };
+
+    return Object.entries(anchors).map(([layout, [anchor, position]]) => {
+      let card = document.querySelector(`.events-card[data-layout="${layout}"]`);
+      if (!card && anchor) {
+        card = document.createElement('section');
+        card.className = 'events-card card-surface';
+        card.dataset.layout = layout;
+        card.setAttribute('aria-labelledby', `events-title-${layout}`);
+        card.hidden = true;
+        anchor[position](card);
+      }
+      return card;
+    }).filter(Boolean);
+  }
+
+  function createEventsContent(meetings, layout) {
+    const title = document.createElement('h2');
+    title.className = 'events-title';
+    title.id = `events-title-${layout}`;
+    title.textContent = t('events.title', { count: meetings.length });
+
+    const list = document.createElement('ul');
+    list.className = 'events-list';
+    list.append(...meetings.map(createMeetingItem));
+
+    return [title, list];
+  }
+
+  function createMeetingItem({ event, start, end, topic }) {
+    const text = (value) => Events.localize(value, state.locale, I18n.DEFAULT_LOCALE);
+    const title = text(event.title);
+
+    const item = document.createElement('li');
+    item.className = 'events-item';
+    item.dataset.eventId = event.id;
+
+    const heading = document.createElement('p');
+    heading.className = 'events-topic';
+    heading.textContent = topic ? text(topic) : title;
+    item.appendChild(heading);
+
+    // A meeting with its own topic still names the series it belongs to
+    if (topic) {
+      const series = document.createElement('p');
+      series.className = 'events-series';
+      series.textContent = title;
+      item.appendChild(series);
+    }
+
+    const when = document.createElement('time');
+    when.className = 'events-when';
+    when.dateTime = start.toISOString();
+    when.textContent = formatMeetingTime(start, end);
+    item.appendChild(when);
+
+    const location = text(event.location ?? state.eventsSource.location);
+    if (location) {
+      const where = document.createElement('p');
+      where.className = 'events-where';
+      where.textContent = location;
+      item.appendChild(where);
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'events-add';
+    button.textContent = t('events.addToCalendar');
+    button.setAttribute('aria-label', t('events.addLabel', { title }));
+    button.addEventListener('click', () => downloadMeeting(event));
+    item.appendChild(button);
+
+    return item;
+  }
+
+  // Shown in the meetings' own time zone, e.g. "wtorek, 20 października, 17:00–19:00"
+  function formatMeetingTime(start, end) {
+    return new Intl.DateTimeFormat(state.locale, {
+      timeZone: state.eventsSource.timeZone,
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).formatRange(start, end);
+  }
+
+  /**
+   * Saves a meeting as an .ics file; a repeating meeting is exported as the whole series
+   * @function downloadMeeting
+   * @param {Object} event - Meeting from events.json
+   */
+  function downloadMeeting(event) {
+    let ics;
+    try {
+      ics = Events.toIcs(event, {
+        timeZone: state.eventsSource.timeZone,
+        locale: state.locale,
+        fallbackLocale: I18n.DEFAULT_LOCALE,
+        location: state.eventsSource.location,
+        url: getPageUrl().href,
+      });
+    } catch (error) {
+      console.error(`Failed to export meeting "${event.id}":`, error);
+      return;
+    }
+
+    downloadFile(ics, Events.icsFileName(event), 'text/calendar');
+    trackEvent('calendar', { eventId: event.id });
+  }
+
+  // ===== USAGE ANALYTICS =====
+
+  /**
+   * Starts recording usage events when ANALYTICS_SINK is set and the browser allows tracking
+   * @function initAnalytics
+   */
+  function initAnalytics() {
+    if (!CONFIG.ANALYTICS_SINK || !Analytics || Analytics.isTrackingDisabled(window)) return;
+
+    try {
+      const sink = Analytics.createSink(CONFIG.ANALYTICS_SINK, {
+        storage: window.localStorage,
+        sendBeacon: typeof navigator.sendBeacon === 'function' ? navigator.sendBeacon.bind(navigator) : null,
+      });
+      state.analytics.tracker = Analytics.createTracker({
+        sink,
+        batchSize: CONFIG.ANALYTICS_BATCH_SIZE,
+        flushInterval: CONFIG.ANALYTICS_FLUSH_INTERVAL_MS,
+        context: () => ({ locale: state.locale, layout: isMobileLayout() ? 'mobile' : 'desktop' }),
+      });
+    } catch (error) {
+      console.warn('Analytics disabled:', error.message);
+      return;
+    }
+
+    document.addEventListener('click', handleSocialClick);
+    document.addEventListener('visibilitychange', handleAnalyticsVisibilityChange);
+    window.addEventListener('pagehide', () => {
+      endDwell();
+      state.analytics.tracker.flush();
+    });
+  }
+
+  function trackEvent(type, data) {
+    state.analytics.tracker?.track(type, data);
+  }
+
+  /**
+   * Records a view of a question and starts timing how long its answer stays on screen
+   * Repeated calls for the same question (re-renders, language switches) are ignored.
+   * @function recordQuestionView
+   * @param {string} id - Question ID
+   */
+  function recordQuestionView(id) {
+    if (!state.analytics.tracker || !id || id === state.analytics.viewId) return;
+
+    endDwell();
+    state.analytics.viewId = id;
+    state.analytics.viewStart = document.hidden ? null : performance.now();
+    trackEvent('view', { questionId: id });
+  }
+
+  // Dwell time only counts while the page is visible; returning to the tab starts a new measurement
+  function endDwell() {
+    const { viewId, viewStart } = state.analytics;
+    if (!viewId || viewStart === null) return;
+
+    state.analytics.viewStart = null;
+    trackEvent('dwell', { questionId: viewId, durationMs: Math.round(performance.now() - viewStart) });
+  }
+
+  function handleAnalyticsVisibilityChange() {
+    if (document.hidden) {
+      endDwell();
+      state.analytics.tracker.flush(); // The page may not come back
+    } else if (state.analytics.viewId) {
+      state.analytics.viewStart = performance.now();
+    }
+  }
+
+  function handleSocialClick(event) {
+    const link = event.target.closest?.('.socials[data-layout] .icon-btn[data-social]');
+    if (!link) return;
+
+    trackEvent('social', { channel: link.dataset.social, questionId: state.activeId });
+  }
+
+  // ===== COLLAPSIBLE SECTIONS =====
+
+  /**
+   * Reads what was collapsed and opened earlier in this browser tab
+   * @function readDisclosureState
+   * @returns {{collapsed: Set<string>, open: Set<string>, multiOpen: boolean}} Section keys, question ids, mode
+   */
+  function readDisclosureState() {
+    let saved = null;
+    try {
+      saved = JSON.parse(sessionStorage.getItem(CONFIG.DISCLOSURE_STORAGE_KEY));
+    } catch (error) {
+      // Storage blocked or malformed: start with everything expanded
+    }
+
+    return {
+      collapsed: new Set(Array.isArray(saved?.collapsed) ? saved.collapsed : []),
+      open: new Set(Array.isArray(saved?.open) ? saved.open : []),
+      multiOpen: typeof saved?.multiOpen === 'boolean' ? saved.multiOpen : CONFIG.ACCORDION_MULTI_OPEN,
+    };
+  }
+
+  function saveDisclosureState() {
+    const { collapsed, open, multiOpen } = state.disclosure;
+
+    try {
+      sessionStorage.setItem(CONFIG.DISCLOSURE_STORAGE_KEY, JSON.stringify({
+        collapsed: [...collapsed],
+        open: [...open],
+        multiOpen,
+      }));
+    } catch (error) {
+      console.warn('Failed to save open sections:', error.message);
+    }
+  }
+
+  /**
+   * Shows or hides section lists to match state.disclosure.collapsed
+   * The sidebar and the accordion share the state, so a layout switch keeps it.
+   * @function applySectionStates
+   * @param {HTMLElement} container - dom.sidebar or dom.accordion
+   */
+  function applySectionStates(container) {
+    container?.querySelectorAll('.section-toggle').forEach((toggle) => {
+      const key = toggle.closest('[data-section-key]')?.dataset.sectionKey;
+      const collapsed = state.disclosure.collapsed.has(key);
+      const list = document.getElementById(toggle.getAttribute('aria-controls'));
+
+      toggle.setAttribute('aria-expanded', String(!collapsed));
+      if (list) list.hidden = collapsed;
+    });
+  }
+
+  function setSectionsCollapsed(keys, collapsed) {
+    keys.forEach((key) => {
+      if (collapsed) state.disclosure.collapsed.add(key);
+      else state.disclosure.collapsed.delete(key);
+    });
+    saveDisclosureState();
+
+    [dom.sidebar, dom.accordion].forEach((container) => {
+      applySectionStates(container);
+      // The tab stop may have been hidden with its section
+      const items = getRovingItems(container);
+      if (!items.some((item) => item.getAttribute('tabindex') === '0')) resetRovingTabindex(container);
+    });
+  }
+
+  function handleSectionToggleClick(event) {
+    const toggle = event.target.closest('.section-toggle');
+    if (!toggle) return false;
+
+    const key = toggle.closest('[data-section-key]')?.dataset.sectionKey;
+    if (key) setSectionsCollapsed([key], toggle.getAttribute('aria-expanded') === 'true');
+    return true;
+  }
+
+  // Expands the section holding a question so the active question is never hidden
+  function revealSection(id) {
+    const section = state.sections.find((candidate) => getValidItems(candidate).some((entry) => entry.id === id));
+    if (section?.key && state.disclosure.collapsed.has(section.key)) {
+      setSectionsCollapsed([section.key], false);
+    }
+  }
+
+  function rememberPanel(panel, isOpen) {
+    const id = panel.closest('.acc-item')?.dataset.questionId;
+    if (!id || state.disclosure.open.has(id) === isOpen) return;
+
+    if (isOpen) state.disclosure.open.add(id);
+    else state.disclosure.open.delete(id);
+    saveDisclosureState();
+  }
+
+  function restoreOpenPanels() {
+    state.elements.accordion.forEach(({ panel }, id) => {
+      if (state.disclosure.open.has(id)) expandPanel(panel, { scroll: false });
+    });
+  }
+
+  function collapseOtherPanels(id) {
+    state.elements.accordion.forEach((entry, questionId) => {
+      if (questionId !== id && entry.panel.classList.contains('open')) {
+        collapsePanel(entry.panel);
+      }
+    });
+  }
+
+  function expandAll() {
+    setSectionsCollapsed([...state.disclosure.collapsed], false);
+    state.elements.accordion.forEach(({ panel }) => {
+      if (!panel.classList.contains('open')) expandPanel(panel, { scroll: false });
+    });
+  }
+
+  function collapseAll() {
+    state.elements.accordion.forEach(({ panel }) => {
+      if (panel.classList.contains('open')) collapsePanel(panel);
+    });
+    setSectionsCollapsed(state.sections.filter((section) => section.key && !section.hideHeading)
+      .map((section) => section.key), true);
+  }
+
+  // ===== KEYBOARD NAVIGATION =====
+
+  /**
+   * Moves focus between questions with arrow keys inside the sidebar or the accordion
+   * Bound to those containers only, so arrow keys keep scrolling the page everywhere else.
+   * Enter/Space stay with the native buttons.
+   * @function handleRovingKeydown
+   * @param {KeyboardEvent} event - Keydown from the sidebar or the accordion
+   */
+  function handleRovingKeydown(event) {
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+    const container = event.currentTarget;
+    const items = getRovingItems(container);
+    const next = items[Navigation.getRovingIndex(event.key, items.indexOf(event.target), items.length)];
+    if (!next) return;
+
+    event.preventDefault();
+    setRovingTabStop(container, next);
+    next.focus();
+    showKeyboardHint();
+  }
+
+  // Tab returns to the item used last, not to the first one
+  function handleRovingFocus(event) {
+    const container = event.currentTarget;
+    if (getRovingItems(container).includes(event.target)) setRovingTabStop(container, event.target);
+  }
+
+  // Items inside collapsed sections are skipped
+  function getRovingItems(container, { includeHidden = false } = {}) {
+    const selector = container === dom.sidebar ? ROVING_ITEMS.sidebar : ROVING_ITEMS.accordion;
+    const items = container ? Array.from(container.querySelectorAll(selector)) : [];
+    return includeHidden ? items : items.filter((item) => !item.closest('[hidden]'));
+  }
+
+  function setRovingTabStop(container, current) {
+    getRovingItems(container, { includeHidden: true }).forEach((item) => {
+      item.setAttribute('tabindex', item === current ? '0' : '-1');
+    });
+  }
+
+  /**
+   * Puts the tab stop on the active question's item, or the first item
+   * @function resetRovingTabindex
+   * @param {HTMLElement} container - dom.sidebar or dom.accordion
+   */
+  function resetRovingTabindex(container) {
+    const items = getRovingItems(container);
+    const ids = items.map((item) => item.closest('[data-question-id]')?.dataset.questionId ?? null);
+    setRovingTabStop(container, items[Navigation.getTabStopIndex(ids, state.activeId)]);
+  }
+
+  function showKeyboardHint() {
+    if (document.body.classList.contains('keyboard-navigation')) return;
+    document.body.classList.add('keyboard-navigation');
+    setTimeout(() => document.body.classList.remove('keyboard-navigation'), 3000);
+  }
+
+  /**
+   * Question ids in display order: the visible sections (or search results), top to bottom
+   * @function getNavigationOrder
+   * @returns {string[]} Question ids
+   */
+  function getNavigationOrder() {
+    const visible = getRenderSections().flatMap(getValidItems).map(({ id }) => id);
+    if (visible.includes(state.activeId)) return visible;
+    return state.sections.flatMap(getValidItems).map(({ id }) => id);
+  }
+
+  /**
+   * Previous/next buttons at the bottom of the desktop answer card
+   * @function createQuestionPager
+   * @param {Object} entry - Displayed question
+   * @returns {HTMLElement|null} Pager, null when there is nothing to page to
+   */
+  function createQuestionPager(entry) {
+    const ids = Navigation.getPagerNeighbours(getNavigationOrder(), entry.id);
+    if (!ids) return null;
+    const neighbours = {
+      previous: state.questions.get(ids.previous),
+      next: state.questions.get(ids.next),
+    };
+
+    const pager = document.createElement('nav');
+    pager.className = 'question-pager';
+    pager.setAttribute('aria-label', t('pager.label'));
+
+    Object.entries(neighbours).forEach(([direction, target]) => {
+      if (!target) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `question-pager-btn question-pager-${direction}`;
+      button.dataset.direction = direction;
+      button.dataset.questionId = target.id;
+      setContentLang(button, target);
+
+      const caption = document.createElement('span');
+      caption.className = 'question-pager-caption';
+      caption.textContent = t(`pager.${direction}`);
+
+      const title = document.createElement('span');
+      title.className = 'question-pager-title';
+      title.textContent = target.question;
+
+      button.append(caption, title);
+      button.addEventListener('click', () => {
+        state.pagerFocus = direction;
+        applyActiveQuestion(target.id, { syncHash: true, pushHistory: true, scrollMobile: false });
+      });
+      pager.appendChild(button);
+    });
+
+    return pager;
   }
 
   /**
    * Show loading skeleton while FAQ data is being fetched
+   * @param {Object} [options]
+   * @param {boolean} [options.viewerOnly=false] - Keep the sidebar and accordion (pre-rendered markup)
    */
-  function showLoadingState() {
+  function showLoadingState({ viewerOnly = false } = {}) {
     const skeletonItems = Array.from({ length: CONFIG.LOADING_SKELETON_ITEMS }, (_, i) => `
       <div class="skeleton-item" style="animation-delay: ${i * 0.1}s">
         <div class="skeleton-title"></div>
@@ -960,7 +2914,7 @@
     `).join('');
     
     const skeletonHTML = `
-      <div class="loading-skeleton" aria-label="Loading content">
+      <div class="loading-skeleton" aria-label="${escapeHtml(t('loading.label'))}">
         <div class="skeleton-header">
           <div class="skeleton-logo"></div>
         </div>
@@ -972,6 +2926,8 @@
       dom.viewer.innerHTML = skeletonHTML;
     }
     
+    if (viewerOnly) return;
+
     if (dom.sidebar) {
       const sidebarSkeleton = Array.from({ length: 6 }, (_, i) => `
         <div class="skeleton-sidebar-item" style="animation-delay: ${i * 0.05}s"></div>
@@ -990,80 +2946,110 @@
   }
 
   /**
-   * Show error state when FAQ data fails to load
+   * Shows the load error in place of the content, in both layouts, with an in-place retry
+   * @function showErrorState
    * @param {Error} error - The error that occurred
    */
   function showErrorState(error) {
-    const errorHTML = `
-      <div class="error-state" role="alert" aria-live="assertive">
-        <div class="error-icon">⚠️</div>
-        <h2>Unable to Load Content</h2>
-        <p>We're having trouble loading the FAQ content. Please check your connection and try again.</p>
-        <button class="error-retry-btn" onclick="location.reload()">Retry</button>
-        <details class="error-details">
-          <summary>Technical Details</summary>
-          <pre>${error.message}</pre>
-        </details>
-      </div>
-    `;
-    
-    if (dom.viewer) {
-      dom.viewer.innerHTML = errorHTML;
-    }
-    
-    // Clear other containers
+    // The error screen lives in the regular layouts; renderAllAnswers and renderChanges switch back after a retry
+    document.documentElement.classList.remove('view-all', 'view-changes');
+
+    [dom.viewer, dom.accordion].forEach((container) => {
+      container?.replaceChildren(createErrorState(error));
+    });
+
     if (dom.sidebar) dom.sidebar.innerHTML = '';
-    if (dom.accordion) dom.accordion.innerHTML = '';
+    state.elements.sidebar.clear();
+    state.elements.accordion.clear();
+  }
+
+  function createErrorState(error) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'error-state';
+    wrapper.setAttribute('role', 'alert');
+
+    const icon = document.createElement('div');
+    icon.className = 'error-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = '⚠️';
+
+    const title = document.createElement('h2');
+    title.textContent = t('error.title');
+
+    const message = document.createElement('p');
+    message.textContent = t('error.message');
+
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'error-retry-btn';
+    retry.textContent = t('error.retry');
+    retry.addEventListener('click', retryLoad);
+
+    const details = document.createElement('details');
+    details.className = 'error-details';
+    const summary = document.createElement('summary');
+    summary.textContent = t('error.details');
+    // Error text may echo server or data content, so it only ever goes in as text
+    const pre = document.createElement('pre');
+    pre.textContent = String(error?.message ?? error);
+    details.append(summary, pre);
+
+    wrapper.append(icon, title, message, retry, details);
+    return wrapper;
   }
 
   /**
-   * Navigate to a specific question by index with wrap-around
-   * @param {number} targetIndex - The target question index
-   * @param {string[]} questionIds - Array of all question IDs
-   * @param {boolean} isMobile - Whether in mobile layout
+   * Retries loading from the error screen without reloading the page
+   * @async
+   * @function retryLoad
    */
-  function navigateToQuestion(targetIndex, questionIds, isMobile) {
-    if (questionIds.length === 0) return;
-    
-    // Wrap around navigation
-    let wrappedIndex = targetIndex;
-    if (targetIndex >= questionIds.length) {
-      wrappedIndex = 0;
-    } else if (targetIndex < 0) {
-      wrappedIndex = questionIds.length - 1;
-    }
-    
-    const targetId = questionIds[wrappedIndex];
-    applyActiveQuestion(targetId, { syncHash: true, scrollMobile: isMobile });
-    
-    // Focus the appropriate element for keyboard users
-    if (isMobile) {
-      const shouldScroll = !reduceMotionQuery.matches;
-      syncMobileAccordion(targetId, { scroll: shouldScroll, focus: true });
-    } else {
-      const sidebarButton = dom.sidebar?.querySelector(`[data-question-id="${targetId}"]`);
-      if (sidebarButton && typeof sidebarButton.focus === 'function') {
-        sidebarButton.focus({ preventScroll: true });
-      }
-    }
+  async function retryLoad() {
+    showLoadingState();
+    await loadContent();
+  }
+
+  /**
+   * Tells the user the page shows stored content because loading failed
+   * @function showCachedNotice
+   * @param {string} savedAt - ISO date of the stored snapshot
+   */
+  function showCachedNotice(savedAt) {
+    const date = new Intl.DateTimeFormat(state.locale, { dateStyle: 'medium', timeStyle: 'short' })
+      .format(new Date(savedAt));
+
+    showPageNotice({
+      id: 'faqCachedNotice',
+      message: t('cached.message', { date }),
+      action: t('cached.retry'),
+      onAction: async (button) => {
+        button.disabled = true;
+        const loaded = await loadContent();
+        if (!loaded) button.disabled = false;
+      },
+    });
   }
 
   function bindGlobalListeners() {
     window.addEventListener('resize', refreshOpenPanels, { passive: true });
     window.addEventListener('hashchange', handleHashChange);
-    
-    // Enhanced keyboard navigation
-    document.addEventListener('keydown', handleKeyboardNavigation);
+    window.addEventListener('popstate', handlePopState);
+    document.addEventListener('click', handleRelatedClick);
+    window.addEventListener('scroll', scheduleScrollStateSave, { passive: true });
+    dom.sidebar?.addEventListener('scroll', scheduleScrollStateSave, { passive: true });
+
+    // Scroll positions are restored per question entry (see handlePopState)
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
 
     observeMedia(layoutQuery, handleLayoutChange);
     observeMedia(reduceMotionQuery, handleMotionPreferenceChange);
+    observeMedia(colorSchemeQuery, handleColorSchemeChange);
   }
 
   function handleLayoutChange() {
     if (!state.questions.size) return;
 
     if (isMobileLayout()) {
-      syncMobileAccordion(state.activeId, { scroll: false, focus: false });
+      syncMobileAccordion(state.activeId, { scroll: false, focus: false, exclusive: false });
     } else {
       renderDesktopQuestion(state.activeId);
       updateSidebarActive(state.activeId);
@@ -1098,14 +3084,539 @@
    * @returns {boolean} True if reduced motion is preferred
    */
   function prefersReducedMotion() {
-    return reduceMotionQuery?.matches ?? false;
+    // The reading mode is static, like a printout
+    return state.viewAll || (reduceMotionQuery?.matches ?? false);
   }
 
-  function handleDataLoadError(error) {
-    console.error('Failed to load FAQ data from faq-data.json:', error);
-    if (dom.viewer) {
-      dom.viewer.innerHTML = '<p style="opacity:.7">Brak danych FAQ – sprawdź plik <code>faq-data.json</code>.</p>';
+  // ===== ALL ANSWERS (?view=all) =====
+
+  /**
+   * Adds the header link that switches between the FAQ and the all-answers page
+   * @function renderViewModeLink
+   */
+  function renderViewModeLink() {
+    const tools = ensureHeaderTools();
+    if (!tools || tools.querySelector('.view-mode-link')) return;
+
+    const link = document.createElement('a');
+    link.className = 'view-mode-link';
+    link.dataset.i18n = state.viewAll ? 'viewAll.close' : 'viewAll.open';
+    link.href = getViewModeUrl();
+    // The search query may have changed the URL since the link was created
+    link.addEventListener('click', () => { link.href = getViewModeUrl(); });
+
+    tools.prepend(link);
+    applyTranslations(tools);
+  }
+
+  function getViewModeUrl() {
+    return getViewUrl(state.viewAll ? null : CONFIG.VIEW_ALL);
+  }
+
+  /**
+   * Current address switched to another view (?view=…) or, with null, to the FAQ itself
+   * @function getViewUrl
+   * @param {string|null} view - CONFIG.VIEW_ALL, CONFIG.VIEW_CHANGES or null
+   * @param {string} [id] - Question to open (#id)
+   * @returns {string} Absolute URL
+   */
+  function getViewUrl(view, id) {
+    const url = new URL(window.location.href);
+    url.hash = id ? encodeURIComponent(id) : '';
+    if (view) {
+      url.searchParams.set(CONFIG.VIEW_QUERY_PARAM, view);
+    } else {
+      url.searchParams.delete(CONFIG.VIEW_QUERY_PARAM);
+    }
+    return url.href;
+  }
+
+  /**
+   * Renders every section and answer in order, with the social channels as plain URLs
+   * Replaces both layouts while ?view=all is set; print styles use the same markup.
+   * @function renderAllAnswers
+   */
+  function renderAllAnswers() {
+    const main = document.querySelector('main.container');
+    if (!main) return;
+
+    if (!dom.allAnswers?.isConnected) {
+      dom.allAnswers = document.createElement('section');
+      dom.allAnswers.className = 'faq-all';
+      dom.allAnswers.id = 'faqAll';
+      main.prepend(dom.allAnswers);
+    }
+    dom.allAnswers.setAttribute('aria-label', t('viewAll.label'));
+
+    const print = document.createElement('button');
+    print.type = 'button';
+    print.className = 'faq-all-print';
+    print.textContent = t('viewAll.print');
+    print.addEventListener('click', () => window.print());
+
+    dom.allAnswers.replaceChildren(print, renderView(Render.allAnswersView(state.sections, {
+      locale: state.locale,
+      socials: state.socials.map((channel) => ({ label: channel.label, url: channel.url })),
+      socialsTitle: t('layout.socials'),
+    })));
+    document.documentElement.classList.add('view-all');
+  }
+
+  // ===== WHAT'S CHANGED (badges, ?view=changes) =====
+
+  /**
+   * Starts a visit: remembers today and returns the previous visit
+   * The previous date is kept in sessionStorage, so reloads and language switches in the same
+   * tab keep the badges the visitor arrived with.
+   * @function recordVisit
+   * @returns {{since: string|null, first: boolean}} YYYY-MM-DD of the previous visit (null on the
+   *   first one or without storage) and whether this is the tab's first page load
+   */
+  function recordVisit() {
+    try {
+      let since = sessionStorage.getItem(CONFIG.VISIT_SINCE_STORAGE_KEY);
+      const first = since === null;
+      if (first) {
+        since = localStorage.getItem(CONFIG.LAST_VISIT_STORAGE_KEY) ?? '';
+        sessionStorage.setItem(CONFIG.VISIT_SINCE_STORAGE_KEY, since);
+      }
+      localStorage.setItem(CONFIG.LAST_VISIT_STORAGE_KEY, toLocalDate(new Date()));
+      return { since: since || null, first };
+    } catch (error) {
+      // Storage blocked: only recent changes get badges
+      return { since: null, first: false };
+    }
+  }
+
+  // YYYY-MM-DD in the visitor's time zone, comparable with the data files' dates as text
+  function toLocalDate(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Latest change of a question and whether it gets a badge
+   * Dates are whole days, so a change made on the day of the previous visit still counts as new.
+   * @function getChange
+   * @param {Object} [entry] - Question entry with `added` / `updated` dates
+   * @returns {{type: ('new'|'updated'), date: string, badge: boolean, sinceVisit: boolean}|null} null without dates
+   */
+  function getChange(entry) {
+    if (!entry?.added && !entry?.updated) return null;
+
+    const type = entry.updated && (!entry.added || entry.updated > entry.added) ? 'updated' : 'new';
+    const date = type === 'updated' ? entry.updated : entry.added;
+
+    const recent = new Date();
+    recent.setDate(recent.getDate() - CONFIG.CHANGES_RECENT_DAYS);
+    const sinceVisit = Boolean(state.visit.since) && date >= state.visit.since;
+
+    return { type, date, badge: sinceVisit || date >= toLocalDate(recent), sinceVisit };
+  }
+
+  /**
+   * Questions with dates, most recently changed first
+   * @function getChangedEntries
+   * @returns {Array<{entry: Object, change: Object}>} At most CONFIG.CHANGES_LIST_LIMIT
+   */
+  function getChangedEntries() {
+    return Array.from(state.questions.values(), (entry) => ({ entry, change: getChange(entry) }))
+      .filter(({ change }) => change)
+      .sort((a, b) => b.change.date.localeCompare(a.change.date) || a.entry.order - b.entry.order)
+      .slice(0, CONFIG.CHANGES_LIST_LIMIT);
+  }
+
+  function formatChangeDate(date) {
+    return new Intl.DateTimeFormat(state.locale, { dateStyle: 'long' }).format(new Date(`${date}T00:00`));
+  }
+
+  function createChangeBadge(change) {
+    const badge = document.createElement('span');
+    badge.className = `change-badge change-badge-${change.type}`;
+    badge.textContent = t(`changes.badge.${change.type}`);
+    badge.title = t(`changes.${change.type}`, { date: formatChangeDate(change.date) });
+    return badge;
+  }
+
+  // Lists come from IntersophiaRender views (also pre-rendered), so badges are added here
+  function addChangeBadges(container) {
+    container?.querySelectorAll('.side-link, .acc-btn, .acc-static').forEach((element) => {
+      const change = getChange(state.questions.get(element.closest('[data-question-id]')?.dataset.questionId));
+      if (!change?.badge || element.querySelector('.change-badge')) return;
+
+      // After the question text; pinned blocks have no question, so the badge opens the answer
+      const before = element.classList.contains('acc-static') ? element.firstChild : element.querySelector('.chev');
+      element.insertBefore(createChangeBadge(change), before);
+    });
+  }
+
+  /**
+   * Adds the header link to the list of changes (hidden until the data has dated questions)
+   * @function renderChangesLink
+   */
+  function renderChangesLink() {
+    const tools = ensureHeaderTools();
+    if (!tools || tools.querySelector('.changes-link')) return;
+
+    const link = document.createElement('a');
+    link.className = 'changes-link';
+    link.dataset.i18n = state.viewChanges ? 'viewAll.close' : 'changes.open';
+    const getHref = () => getViewUrl(state.viewChanges ? null : CONFIG.VIEW_CHANGES);
+    link.href = getHref();
+    link.addEventListener('click', () => { link.href = getHref(); });
+    link.hidden = true;
+
+    tools.prepend(link);
+    applyTranslations(tools);
+  }
+
+  function updateChangesLink() {
+    const link = document.querySelector('.changes-link');
+    if (link) link.hidden = !state.viewChanges && !getChangedEntries().length;
+  }
+
+  /**
+   * Tells a returning visitor how many questions changed since their previous visit
+   * Shown once per tab, on the first load, and not over the other views.
+   * @function showChangesNotice
+   */
+  function showChangesNotice() {
+    if (!state.visit.first || state.viewAll || state.viewChanges || state.editMode) return;
+    state.visit.first = false;
+
+    const count = getChangedEntries().filter(({ change }) => change.sinceVisit).length;
+    if (!count) return;
+
+    showPageNotice({
+      id: 'faqChangesNotice',
+      message: t('changes.notice', { count }),
+      action: t('changes.show'),
+      onAction: () => { window.location.href = getViewUrl(CONFIG.VIEW_CHANGES); },
+    });
+  }
+
+  /**
+   * Lists recently added and updated questions with their answers, newest first
+   * Replaces both layouts while ?view=changes is set; each question links back to the FAQ.
+   * @function renderChanges
+   */
+  function renderChanges() {
+    const main = document.querySelector('main.container');
+    if (!main) return;
+
+    if (!dom.changes?.isConnected) {
+      dom.changes = document.createElement('section');
+      dom.changes.className = 'faq-all faq-changes';
+      dom.changes.id = 'faqChanges';
+      dom.changes.setAttribute('aria-labelledby', 'faqChangesTitle');
+      main.prepend(dom.changes);
+    }
+
+    const title = document.createElement('h1');
+    title.className = 'faq-changes-title';
+    title.id = 'faqChangesTitle';
+    title.textContent = t('changes.title');
+
+    const intro = document.createElement('p');
+    intro.className = 'faq-changes-intro';
+    intro.textContent = state.visit.since
+      ? t('changes.introSince', { date: formatChangeDate(state.visit.since) })
+      : t('changes.intro');
+
+    const changes = getChangedEntries();
+    const list = document.createElement('ol');
+    list.className = 'faq-all-content faq-changes-list';
+    list.append(...changes.map(createChangeItem));
+
+    const empty = document.createElement('p');
+    empty.className = 'faq-changes-empty';
+    empty.textContent = t('changes.empty');
+
+    dom.changes.replaceChildren(title, intro, changes.length ? list : empty);
+    document.documentElement.classList.add('view-changes');
+  }
+
+  function createChangeItem({ entry, change }) {
+    const item = document.createElement('li');
+    item.className = 'faq-all-item faq-changes-item';
+    item.dataset.questionId = entry.id;
+    setContentLang(item, entry);
+
+    const meta = document.createElement('p');
+    meta.className = 'faq-changes-meta';
+    if (change.badge) meta.append(createChangeBadge(change), ' ');
+
+    const date = document.createElement('time');
+    date.dateTime = change.date;
+    date.textContent = t(`changes.${change.type}`, { date: formatChangeDate(change.date) });
+    meta.append(date);
+    if (entry.section) meta.append(` · ${entry.section}`);
+
+    const heading = document.createElement('h2');
+    heading.className = 'faq-all-question';
+    const link = document.createElement('a');
+    link.href = getViewUrl(null, entry.id);
+    link.textContent = entry.question;
+    heading.appendChild(link);
+
+    const answer = document.createElement('div');
+    answer.className = 'answer faq-all-answer';
+    answer.appendChild(sanitizeHtml(formatAnswer(entry.answer)));
+
+    item.append(meta, heading, answer);
+    return item;
+  }
+
+  // ===== CONTENT EDITOR (?edit) =====
+
+  /**
+   * Opens the content editor for the base-language data file (?edit)
+   * The form itself lives in faq-editor-ui.js; this wires in the page's strings, notices and preview.
+   * Later loads (language switch, reload) only refresh the editor's labels and keep the draft.
+   * @function openEditor
+   * @param {Array} source - Parsed faq-data.<default locale>.json
+   */
+  function openEditor(source) {
+    if (!state.editor) {
+      let store = null;
+      try {
+        store = Editor.createDraftStore(window.localStorage, CONFIG.EDITOR_DRAFT_STORAGE_KEY);
+      } catch (error) {
+        // Storage can be unavailable (privacy mode); the draft then lives in this tab only
+      }
+
+      state.editor = EditorUi.createEditorUi({
+        document,
+        container: document.querySelector('main.container'),
+        source,
+        store,
+        fileName: getFaqDataUrl(I18n.DEFAULT_LOCALE).split('/').pop(),
+        exitUrl: getEditorExitUrl(),
+        contentLocale: I18n.DEFAULT_LOCALE,
+        getLocale: () => state.locale,
+        t,
+        today: () => toLocalDate(new Date()),
+        getSocials: () => state.socials.map(({ name }) => name),
+        renderPreview: renderEditorPreview,
+        confirm: (message) => window.confirm(message),
+        showNotice: showPageNotice,
+        removeNotice: removePageNotice,
+        download: (text, fileName) => downloadFile(text, fileName, 'application/json'),
+        copy: copyText,
+        updateDelay: CONFIG.EDITOR_UPDATE_DELAY_MS,
+        noticeTimeout: CONFIG.SHARE_NOTICE_TIMEOUT_MS,
+      });
+    }
+
+    state.editor.render();
+    document.documentElement.classList.add('edit-mode');
+  }
+
+  function getEditorExitUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(CONFIG.EDIT_QUERY_PARAM);
+    return url.href;
+  }
+
+  // The preview uses the page's own "all answers" view of the draft
+  function renderEditorPreview(draft) {
+    const { processedSections } = Render.buildQuestionIndex(draft, { locale: I18n.DEFAULT_LOCALE });
+    return Render.toDom(
+      Render.allAnswersView(processedSections, { locale: I18n.DEFAULT_LOCALE }),
+      { document, html: sanitizeHtml },
+    );
+  }
+
+  // ===== OFFLINE / CONTENT UPDATES =====
+
+  /**
+   * Registers sw.js, which caches the shell and serves data stale-while-revalidate
+   * @function registerServiceWorker
+   */
+  function registerServiceWorker() {
+    // Service workers need http(s); file:// previews just skip offline support
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+    navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL).catch((error) => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
+  function handleServiceWorkerMessage(event) {
+    const { type, url } = event.data || {};
+    if (type !== 'faq:data-updated') return;
+
+    // Only files behind the current page matter (not e.g. another language)
+    const used = [getFaqDataUrl(I18n.DEFAULT_LOCALE), getFaqDataUrl(state.locale), CONFIG.SOCIALS_DATA_URL, CONFIG.EVENTS_DATA_URL]
+      .map((file) => new URL(file, document.baseURI).href);
+    if (used.includes(url)) showUpdateNotice();
+  }
+
+  /**
+   * Tells the user newer content arrived and re-renders it in place on request
+   * @function showUpdateNotice
+   */
+  function showUpdateNotice() {
+    showPageNotice({
+      id: 'faqUpdateNotice',
+      message: t('update.message'),
+      action: t('update.apply'),
+      onAction: () => {
+        removePageNotice('faqUpdateNotice');
+        loadContent();
+      },
+    });
+  }
+
+  /**
+   * Shows a notice bar at the bottom of the page (one per id, stacked when several are open)
+   * @function showPageNotice
+   * @param {Object} notice
+   * @param {string} notice.id - Element id; an open notice with the same id is replaced
+   * @param {string} notice.message - Text
+   * @param {string} [notice.action] - Action button label; no button without it
+   * @param {function(HTMLButtonElement)} [notice.onAction] - Action button handler
+   * @param {number} [notice.timeout] - Removes the notice after this many milliseconds
+   */
+  function showPageNotice({ id, message, action, onAction, timeout }) {
+    let stack = document.querySelector('.page-notices');
+    if (!stack) {
+      stack = document.createElement('div');
+      stack.className = 'page-notices';
+      document.body.appendChild(stack);
+    }
+
+    const notice = document.createElement('div');
+    notice.id = id;
+    notice.className = 'page-notice card-surface';
+    notice.setAttribute('role', 'status');
+
+    const text = document.createElement('p');
+    text.className = 'page-notice-text';
+    text.textContent = message;
+
+    notice.appendChild(text);
+
+    if (action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'page-notice-action';
+      button.textContent = action;
+      button.addEventListener('click', () => onAction(button));
+      notice.appendChild(button);
     }
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'page-notice-close';
+    close.setAttribute('aria-label', t('notice.dismiss'));
+    close.textContent = '×';
+    close.addEventListener('click', () => removePageNotice(id));
+
+    notice.appendChild(close);
+
+    const existing = document.getElementById(id);
+    if (existing) {
+      existing.replaceWith(notice);
+    } else {
+      stack.appendChild(notice);
+    }
+
+    // Only removes this notice, not a newer one that replaced it
+    if (timeout) window.setTimeout(() => notice.remove(), timeout);
+  }
+
+  function removePageNotice(id) {
+    document.getElementById(id)?.remove();
+  }
+
+  // ===== PUBLIC API =====
+
+  /**
+   * Builds the window.Intersophia API for embedding scripts (event pages, analytics)
+   * Changes are also announced as `faq:*` events on document, see dispatchFaqEvent.
+   * @function createPublicApi
+   * @returns {Object} Frozen API object
+   * @example
+   * document.addEventListener('faq:loaded', () => Intersophia.open('kiedy-i-gdzie-sie-spotykacie'));
+   * document.addEventListener('faq:questionchange', (event) => console.log(event.detail.id));
+   */
+  function createPublicApi() {
+    return Object.freeze({
+      /**
+       * Opens a question in both layouts
+       * @param {string} id - Question id (a `q-` prefix is accepted too)
+       * @returns {boolean} False when the id is unknown or the data has not loaded yet
+       */
+      open(id) {
+        const resolved = resolveQuestionId(String(id ?? ''));
+        if (!resolved) return false;
+        applyActiveQuestion(resolved, { syncHash: true, scrollMobile: isMobileLayout() });
+        return true;
+      },
+
+      /**
+       * @returns {{id: string, question: string, section: string, lang: string}|null} Active question
+       */
+      getActive() {
+        const entry = state.questions.get(state.activeId);
+        return entry ? toPublicQuestion(entry) : null;
+      },
+
+      /**
+       * Runs a search as if typed into the search box; an empty query clears it
+       * @param {string} query - Search text
+       * @returns {Array<string>} Matching question ids, best first (all ids when cleared)
+       */
+      search(query) {
+        setSearchQuery(query);
+        const entries = state.search.results
+          || Array.from(state.questions.values()).sort((a, b) => a.order - b.order);
+        return entries.map(({ id }) => id);
+      },
+
+      /**
+       * Fetches the content again and re-renders it, keeping the active question
+       * @returns {Promise<boolean>} Whether the reload succeeded
+       */
+      reload: () => loadContent(),
+
+      /**
+       * Exports the feedback collected by the adapter (the default storage adapter keeps it in this browser)
+       * @param {'json'|'csv'} [format='json'] - Output format
+       * @returns {Promise<string>} JSON or CSV text
+       * @example
+       * copy(await Intersophia.exportFeedback('csv')); // DevTools console
+       */
+      async exportFeedback(format = 'json') {
+        const { adapter } = getFeedback();
+        if (typeof adapter.list !== 'function') {
+          throw new Error('This feedback adapter cannot read responses back; export them from its endpoint');
+        }
+        const records = await adapter.list();
+        return format === 'csv' ? Feedback.toCsv(records) : Feedback.toJson(records);
+      },
+    });
+  }
+
+  function toPublicQuestion(entry) {
+    return {
+      id: entry.id,
+      question: entry.question,
+      section: entry.section,
+      lang: entry.lang,
+    };
+  }
+
+  /**
+   * Dispatches a `faq:<name>` CustomEvent on document
+   * @function dispatchFaqEvent
+   * @param {string} name - 'loaded', 'questionchange' or 'error'
+   * @param {Object} detail - Event payload
+   */
+  function dispatchFaqEvent(name, detail) {
+    document.dispatchEvent(new CustomEvent(`faq:${name}`, { detail }));
   }
 
 
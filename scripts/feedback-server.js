@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Local mock endpoint for the feedback widget's POST adapter
+ * Accepts responses at POST /feedback and keeps them in memory until it stops;
+ * GET /feedback returns them as JSON, GET /feedback.csv as CSV (assets/js/faq-feedback.js).
+ *
+ * Usage: node scripts/feedback-server.js [port]   (0 picks a free port; the address is printed)
+ * Then set FEEDBACK_ADAPTER: { type: 'post', url: 'http://localhost:8787/feedback' } in main.js.
+ */
+
+const http = require('http');
+const { normalizeRecord, toJson, toCsv } = require('../assets/js/faq-feedback.js');
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 16 * 1024;
+
+const records = [];
+
+// The FAQ page is served from another origin (python -m http.server, GitHub Pages)
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+function send(response, status, body = '', type = 'text/plain; charset=utf-8') {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': type });
+  response.end(body);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('za duże zapytanie'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+async function handle(request, response) {
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  if (request.method === 'OPTIONS') return send(response, 204);
+
+  if (request.method === 'GET' && pathname === '/feedback') {
+    return send(response, 200, toJson(records), 'application/json; charset=utf-8');
+  }
+  if (request.method === 'GET' && pathname === '/feedback.csv') {
+    return send(response, 200, toCsv(records), 'text/csv; charset=utf-8');
+  }
+  if (request.method !== 'POST' || pathname !== '/feedback') return send(response, 404, 'nie znaleziono');
+
+  let record;
+  try {
+    record = normalizeRecord(JSON.parse(await readBody(request)));
+  } catch (error) {
+    return send(response, 400, `niepoprawne zapytanie – ${error.message}`);
+  }
+  if (!record) return send(response, 400, 'brak questionId lub helpful');
+
+  records.push(record);
+  console.log(`${record.createdAt} ${record.questionId}: ${record.helpful ? '👍' : '👎'} ${record.comment}`);
+  return send(response, 201);
+}
+
+function main() {
+  const port = process.argv[2] === undefined ? DEFAULT_PORT : Number(process.argv[2]);
+
+  const server = http.createServer((request, response) => {
+    handle(request, response).catch((error) => send(response, 500, error.message));
+  });
+  server.listen(port, () => {
+    console.log(`serwer opinii: http://localhost:${server.address().port}/feedback (CSV: /feedback.csv)`);
+  });
+}
+
+main();
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Pre-renders the FAQ, its FAQPage JSON-LD and both socials bars into index.html so content is there without JavaScript
+ * Uses the same views as the browser (assets/js/faq-render.js). On load, main.js attaches to
+ * this markup instead of rebuilding it, as long as it still matches the data.
+ *
+ * Usage: node scripts/prerender.js [path/to/index.html]
+ * Re-run after editing faq-data.pl.json or socials.json; only markup between the `prerender:*` comments is replaced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Render = require('../assets/js/faq-render.js');
+const { DEFAULT_LOCALE, translate } = require('../assets/js/i18n.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_PAGE_PATH = path.join(ROOT_DIR, 'index.html');
+const DATA_PATH = path.join(ROOT_DIR, 'assets', `faq-data.${DEFAULT_LOCALE}.json`);
+const SOCIALS_PATH = path.join(ROOT_DIR, 'assets', 'socials.json');
+
+function renderRegions(sections, socials) {
+  const { questions, processedSections } = Render.buildQuestionIndex(sections, { locale: DEFAULT_LOCALE });
+  const visible = processedSections.filter((section) => section.validItems.length);
+  // Same options as getRelatedOptions in main.js
+  const options = {
+    locale: DEFAULT_LOCALE,
+    relatedTitle: translate(DEFAULT_LOCALE, 'related.title'),
+    readNextTitle: translate(DEFAULT_LOCALE, 'related.next'),
+  };
+  const channels = Render.normalizeSocials(socials);
+  const socialLinks = (layout) => channels.map((channel) => Render.toHtml(Render.socialLinkView(channel, layout)));
+
+  return {
+    questions: questions.size,
+    regions: {
+      head: [
+        `<meta name="faq-prerender" content="${Render.renderKey(processedSections)}">`,
+        // Same id main.js updates after loading, so the page never carries two copies
+        `<script type="application/ld+json" id="faqStructuredData">${Render.faqStructuredData(questions.values(), { locale: DEFAULT_LOCALE })}</script>`,
+      ],
+      // Same structure ensureSidebarContent builds, minus the search box main.js adds on load
+      sidebar: [
+        '<div class="sidebar-content">',
+        ...visible.map((section) => `  ${Render.toHtml(Render.sideSectionView(section, options))}`),
+        '</div>',
+        Render.toHtml(Render.sidebarFooterView()),
+      ],
+      accordion: visible.map((section) => Render.toHtml(Render.mobileSectionView(section, options))),
+      // Same links renderSocials puts into each bar, so contact channels work without JavaScript
+      'socials-desktop': socialLinks('desktop'),
+      'socials-mobile': socialLinks('mobile'),
+    },
+  };
+}
+
+/**
+ * Replaces the content between <!-- prerender:name --> and <!-- /prerender:name -->
+ * Each piece goes on its own line, at the indentation of the opening comment.
+ */
+function fillRegion(html, name, pieces) {
+  const pattern = new RegExp(`([ \\t]*)(<!-- prerender:${name} -->)[\\s\\S]*?(<!-- /prerender:${name} -->)`);
+  const match = pattern.exec(html);
+  if (!match) throw new Error(`brak znaczników <!-- prerender:${name} --> w pliku`);
+
+  const indent = match[1];
+  const body = `\n${[].concat(pieces).map((line) => indent + line).join('\n')}\n${indent}`;
+
+  return html.slice(0, match.index) + match[1] + match[2] + body + match[3] + html.slice(match.index + match[0].length);
+}
+
+function main() {
+  const pageFile = path.resolve(process.argv[2] || DEFAULT_PAGE_PATH);
+  const relative = path.relative(process.cwd(), pageFile) || pageFile;
+
+  try {
+    const sections = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+    if (!Array.isArray(sections)) throw new Error('FAQ musi być tablicą sekcji');
+
+    const socials = JSON.parse(fs.readFileSync(SOCIALS_PATH, 'utf8'));
+    const { questions, regions } = renderRegions(sections, socials);
+    let html = fs.readFileSync(pageFile, 'utf8');
+    Object.entries(regions).forEach(([name, pieces]) => {
+      html = fillRegion(html, name, pieces);
+    });
+
+    fs.writeFileSync(pageFile, html);
+    console.log(`${relative}: wyrenderowano pytań: ${questions}`);
+    return 0;
+  } catch (error) {
+    console.error(`${relative}: pre-render nie powiódł się – ${error.message}`);
+    return 1;
+  }
+}
+
+process.exitCode = main();
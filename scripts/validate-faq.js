@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Checks the FAQ data files, socials.json and events.json against the FAQ schema before content is committed
+ * Uses the same validator as the in-page diagnostics (assets/js/faq-schema.js).
+ *
+ * Usage: node scripts/validate-faq.js [path/to/faq-data.pl.json] [path/to/socials.json] [path/to/events.json]
+ * Without arguments every assets/faq-data.<locale>.json is checked; translations are
+ * compared with the base-language file. Exits with code 1 when a file has errors;
+ * warnings alone do not fail the check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateFaqData, validateSocials, validateEvents, formatIssue } = require('../assets/js/faq-schema.js');
+const { DEFAULT_LOCALE, LOCALES } = require('../assets/js/i18n.js');
+const { TIME_ZONES } = require('../assets/js/faq-events.js');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+const dataPath = (locale) => path.join(ASSETS_DIR, `faq-data.${locale}.json`);
+const DEFAULT_SOCIALS_PATH = path.join(ASSETS_DIR, 'socials.json');
+const DEFAULT_EVENTS_PATH = path.join(ASSETS_DIR, 'events.json');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function printReport(relative, report) {
+  report.issues.forEach((issue) => {
+    const log = issue.severity === 'error' ? console.error : console.warn;
+    log(`${relative}: ${formatIssue(issue)}`);
+  });
+
+  console.log(`${relative}: błędy: ${report.errors}, ostrzeżenia: ${report.warnings}`);
+}
+
+function check(file, validate) {
+  const relative = path.relative(process.cwd(), file) || file;
+
+  let data;
+  try {
+    data = readJson(file);
+  } catch (error) {
+    console.error(`${relative}: nie można odczytać pliku – ${error.message}`);
+    return { ok: false, data: null };
+  }
+
+  const report = validate(data);
+  printReport(relative, report);
+  return { ok: report.ok, data };
+}
+
+function collectIds(data) {
+  return (Array.isArray(data) ? data : [])
+    .flatMap((section) => (Array.isArray(section?.items) ? section.items : []))
+    .map((item) => item?.id)
+    .filter((id) => typeof id === 'string');
+}
+
+function main() {
+  const dataFile = path.resolve(process.argv[2] || dataPath(DEFAULT_LOCALE));
+  const socialsFile = path.resolve(process.argv[3] || DEFAULT_SOCIALS_PATH);
+  const eventsFile = path.resolve(process.argv[4] || DEFAULT_EVENTS_PATH);
+
+  const socials = check(socialsFile, validateSocials);
+  const names = Array.isArray(socials.data)
+    ? socials.data.map((channel) => channel?.name).filter((name) => typeof name === 'string')
+    : undefined;
+
+  const faq = check(dataFile, (data) => validateFaqData(data, { socials: names }));
+  const events = check(eventsFile, (data) => validateEvents(data, { timeZones: Object.keys(TIME_ZONES) }));
+  let ok = socials.ok && faq.ok && events.ok;
+
+  // Translations are only checked in the default run, against the default base file
+  if (!process.argv[2]) {
+    const baseIds = collectIds(faq.data);
+    Object.keys(LOCALES)
+      .filter((locale) => locale !== DEFAULT_LOCALE && fs.existsSync(dataPath(locale)))
+      .forEach((locale) => {
+        ok = check(dataPath(locale), (data) => validateFaqData(data, { baseIds })).ok && ok;
+      });
+  }
+
+  return ok ? 0 : 1;
+}
+
+process.exitCode = main();
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Intersophia service worker
+ * Precaches the page shell and FAQ data so the FAQ opens offline or on flaky Wi-Fi.
+ * - Shell (HTML, CSS, JS, icons): network first, cached copy when the network fails or stalls
+ * - Content (faq-data.<locale>.json, socials.json): stale-while-revalidate; when the
+ *   revalidated file differs, open pages get a `faq:data-updated` message
+ *
+ * Bump CACHE_VERSION when files are added to or removed from the lists below.
+ *
+ * @author Krzysztof Durczak
+ * @since 2025
+ */
+
+const CACHE_VERSION = 'v6';
+const SHELL_CACHE = `intersophia-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `intersophia-data-${CACHE_VERSION}`;
+
+// Paths are relative to this file, so the site also works from a GitHub Pages sub-folder
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'assets/css/styles.css',
+  'assets/js/faq-search.js',
+  'assets/js/faq-schema.js',
+  'assets/js/i18n.js',
+  'assets/js/faq-render.js',
+  'assets/js/faq-feedback.js',
+  'assets/js/faq-analytics.js',
+  'assets/js/faq-events.js',
+  'assets/js/faq-editor.js',
+  'assets/js/faq-editor-ui.js',
+  'assets/js/faq-navigation.js',
+  'assets/js/main.js',
+  'assets/logo.svg',
+  'assets/Facebook.svg',
+  'assets/Messenger.svg',
+  'assets/OneNote.svg',
+  'assets/favicon.png',
+];
+const DATA_FILES = [
+  'assets/faq-data.pl.json',
+  'assets/faq-data.en.json',
+  'assets/socials.json',
+  'assets/events.json',
+];
+const DATA_PATTERN = /\/assets\/(?:faq-data\.[a-z-]+|socials|events)\.json$/;
+
+// How long a shell request may take before the cached copy is used instead
+const NETWORK_TIMEOUT_MS = 3000;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(Promise.all([
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES)),
+    caches.open(DATA_CACHE).then((cache) => cache.addAll(DATA_FILES)),
+  ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const current = new Set([SHELL_CACHE, DATA_CACHE]);
+
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith('intersophia-') && !current.has(key))
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (DATA_PATTERN.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+/**
+ * Answers from the data cache and refreshes it in the background
+ * @param {FetchEvent} event - Data file request
+ * @returns {Promise<Response>} Cached response, or the network one on the first visit
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(DATA_CACHE);
+  const key = cacheKey(request);
+  const cached = await cache.match(key);
+
+  const refresh = fetch(request).then(async (response) => {
+    if (!response.ok) return response;
+
+    const [fresh, previous] = await Promise.all([
+      response.clone().text(),
+      cached ? cached.clone().text() : null,
+    ]);
+    await cache.put(key, response.clone());
+
+    if (previous !== null && previous !== fresh) {
+      await notifyClients({ type: 'faq:data-updated', url: key });
+    }
+    return response;
+  });
+
+  if (!cached) return refresh;
+
+  // Keep the worker alive until the cache is refreshed; failures just keep the old copy
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+/**
+ * Fetches shell files from the network, falling back to the cache offline or after a timeout
+ * @param {Request} request - Shell request (page, stylesheet, script, icon)
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = request.mode === 'navigate' ? 'index.html' : request;
+
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  });
+  network.catch(() => {}); // Handled below; avoids an unhandled rejection after a timeout
+
+  const timeout = new Promise((resolve) => {
+    setTimeout(resolve, NETWORK_TIMEOUT_MS);
+  });
+
+  try {
+    const response = await Promise.race([network, timeout]);
+    if (response) return response;
+  } catch (error) {
+    // Offline: fall through to the cache
+  }
+
+  const cached = await cache.match(key, { ignoreSearch: true });
+  return cached || network;
+}
+
+// Data requests carry no query string; strip it anyway so ?v=… cache busters share one entry
+function cacheKey(request) {
+  const url = new URL(request.url);
+  url.search = '';
+  return url.href;
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => client.postMessage(message));
+}
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Usage analytics: opting out, batching and failed deliveries
+ * Unit tests for faq-analytics.js, then the shipped page (no ANALYTICS_SINK) checked for
+ * sending and storing nothing while a visitor reads answers and follows social links.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const Analytics = require('../assets/js/faq-analytics.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Sink that keeps every batch; `failures` deliveries throw first
+function createRecordingSink({ failures = 0 } = {}) {
+  const batches = [];
+  return {
+    batches,
+    send(events) {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error('offline');
+      }
+      batches.push(events.map(({ type, n }) => `${type}:${n}`));
+    },
+  };
+}
+
+test('isTrackingDisabled honours each Do Not Track source and Global Privacy Control', () => {
+  const { isTrackingDisabled } = Analytics;
+
+  assert.equal(isTrackingDisabled({ navigator: { doNotTrack: '1' } }), true, 'navigator.doNotTrack');
+  assert.equal(isTrackingDisabled({ navigator: {}, doNotTrack: '1' }), true, 'window.doNotTrack (older Safari and Edge)');
+  assert.equal(isTrackingDisabled({ navigator: { msDoNotTrack: '1' } }), true, 'navigator.msDoNotTrack (Internet Explorer)');
+  assert.equal(isTrackingDisabled({ navigator: { doNotTrack: 'yes' } }), true, 'early Firefox wrote "yes"');
+  assert.equal(isTrackingDisabled({ navigator: { globalPrivacyControl: true } }), true, 'Global Privacy Control');
+
+  assert.equal(isTrackingDisabled({ navigator: { doNotTrack: '0' } }), false);
+  assert.equal(isTrackingDisabled({ navigator: { doNotTrack: 'unspecified' } }), false);
+  assert.equal(isTrackingDisabled({ navigator: { doNotTrack: null } }), false);
+  assert.equal(isTrackingDisabled(undefined), false);
+});
+
+test('the tracker sends nothing until a batch is full', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const sink = createRecordingSink();
+  const tracker = Analytics.createTracker({ sink, batchSize: 3, flushInterval: 1000 });
+
+  tracker.track('view', { n: 1 });
+  tracker.track('view', { n: 2 });
+  assert.deepEqual(sink.batches, []);
+
+  tracker.track('view', { n: 3 });
+  tracker.track('view', { n: 4 });
+  assert.deepEqual(sink.batches, [['view:1', 'view:2', 'view:3']]);
+
+  t.mock.timers.tick(999);
+  assert.equal(sink.batches.length, 1);
+  t.mock.timers.tick(1);
+  assert.deepEqual(sink.batches, [['view:1', 'view:2', 'view:3'], ['view:4']], 'the interval sends a partial batch');
+
+  tracker.flush();
+  assert.equal(sink.batches.length, 2, 'flushing an empty queue sends nothing');
+});
+
+test('events carry the context and a timestamp, and nothing that identifies the visitor', () => {
+  const batches = [];
+  const tracker = Analytics.createTracker({
+    sink: { send: (events) => batches.push(events) },
+    batchSize: 1,
+    context: () => ({ locale: 'pl', layout: 'desktop' }),
+    now: () => Date.parse('2026-10-19T10:00:00Z'),
+  });
+
+  tracker.track('dwell', { questionId: 'kontakt', durationMs: 4200 });
+  assert.deepEqual(batches, [[
+    { type: 'dwell', questionId: 'kontakt', durationMs: 4200, locale: 'pl', layout: 'desktop', at: '2026-10-19T10:00:00.000Z' },
+  ]]);
+});
+
+test('a failed delivery keeps its events for the next attempt, in order', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const sink = createRecordingSink({ failures: 1 });
+  const tracker = Analytics.createTracker({ sink, batchSize: 2 });
+
+  tracker.track('view', { n: 1 });
+  tracker.track('view', { n: 2 });
+  assert.deepEqual(sink.batches, []);
+  assert.equal(console.warn.mock.callCount(), 1);
+
+  tracker.track('view', { n: 3 });
+  assert.deepEqual(sink.batches, [['view:1', 'view:2', 'view:3']]);
+});
+
+test('a beacon the browser refuses is requeued; an accepted one posts the batch as text', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const beacons = [];
+  let accept = false;
+  const sink = Analytics.createSink({ type: 'beacon', url: '/collect' }, {
+    sendBeacon: (url, body) => {
+      beacons.push({ url, body });
+      return accept;
+    },
+  });
+  const tracker = Analytics.createTracker({ sink, batchSize: 10 });
+
+  tracker.track('social', { channel: 'discord' });
+  tracker.flush();
+  assert.equal(beacons.length, 1);
+
+  accept = true;
+  tracker.track('social', { channel: 'messenger' });
+  tracker.flush();
+  tracker.flush();
+  assert.equal(beacons.length, 2, 'the queue is empty once the beacon is accepted');
+
+  const { url, body } = beacons[1];
+  assert.equal(url, '/collect');
+  assert.equal(body.type, 'text/plain;charset=utf-8');
+  assert.deepEqual(JSON.parse(await body.text()).map(({ channel }) => channel), ['discord', 'messenger']);
+});
+
+test('a queue that cannot be delivered stops growing at 200 events', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const sink = createRecordingSink({ failures: Infinity });
+  const tracker = Analytics.createTracker({ sink, batchSize: 1 });
+
+  for (let n = 1; n <= 250; n += 1) tracker.track('view', { n });
+  sink.send = (events) => sink.batches.push(events.map(({ n }) => n));
+  tracker.flush();
+
+  assert.equal(sink.batches[0].length, 200);
+  assert.equal(sink.batches[0][0], 51, 'the oldest events are dropped');
+});
+
+test('createSink builds the storage sink and rejects unknown types or missing APIs', () => {
+  const items = new Map();
+  const storage = { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+  const sink = Analytics.createSink({ type: 'storage', key: 'analytics' }, { storage });
+
+  sink.send([{ type: 'view' }]);
+  sink.send([{ type: 'dwell' }]);
+  assert.deepEqual(sink.list(), [{ type: 'view' }, { type: 'dwell' }]);
+
+  items.set('analytics', 'not json');
+  assert.deepEqual(sink.list(), []);
+
+  assert.throws(() => Analytics.createSink({ type: 'pixel' }), /Unknown analytics sink: pixel/);
+  assert.throws(() => Analytics.createSink({ type: 'beacon', url: '/collect' }, {}), /sendBeacon is not available/);
+});
+
+test('the shipped page records nothing without ANALYTICS_SINK', async (t) => {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const { window } = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true });
+  t.after(() => window.close());
+
+  const beacons = [];
+  window.navigator.sendBeacon = (...args) => beacons.push(args);
+  window.matchMedia = (media) => ({ media, matches: false, addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {} });
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  window.HTMLElement.prototype.scrollTo = () => {};
+  window.fetch = async (url) => {
+    const file = path.join(ROOT, new URL(url, window.location.href).pathname);
+    if (!fs.existsSync(file)) return { ok: false, status: 404 };
+    const body = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(body) };
+  };
+  const info = t.mock.method(window.console, 'info', () => {});
+
+  const loaded = new Promise((resolve) => window.document.addEventListener('faq:loaded', resolve, { once: true }));
+  window.document.querySelectorAll('script[src]').forEach((script) => {
+    window.eval(fs.readFileSync(path.join(ROOT, script.getAttribute('src')), 'utf8'));
+  });
+  await loaded;
+
+  window.document.querySelectorAll('#sidebar .side-link').forEach((link) => link.click());
+  window.document.querySelector('.socials[data-layout] .icon-btn[data-social]')?.click();
+  window.dispatchEvent(new window.Event('pagehide'));
+
+  assert.deepEqual(beacons, []);
+  assert.equal(info.mock.callCount(), 0);
+  assert.deepEqual(Object.keys(window.localStorage).filter((key) => key.includes('analytics')), []);
+});
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Content editor: the draft model and the form
+ * The model writes the JSON people commit, so ids, moves, the file layout and draft restore are
+ * checked here; the form is driven once in jsdom with stand-ins for the page's services.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const Editor = require('../assets/js/faq-editor.js');
+const { createEditorUi } = require('../assets/js/faq-editor-ui.js');
+
+const item = (id, extra = {}) => ({ id, q: `Pytanie ${id}?`, a: `Odpowiedź ${id}.`, ...extra });
+const sections = () => [
+  { section: 'O nas', items: [item('a'), item('b')] },
+  { section: 'Spotkania', items: [item('c')] },
+  { section: 'Kontakt', items: [item('d')] },
+];
+const ids = (draft) => draft.map((section) => section.items.map(({ id }) => id));
+
+// Storage stand-in; `failing` makes writes throw like a full or blocked localStorage
+function createStorage(initial = {}, { failing = false } = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (failing) throw new Error('QuotaExceededError');
+      items.set(key, String(value));
+    },
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+test('slugify folds Polish letters, including ł, into ASCII ids', () => {
+  assert.equal(Editor.slugify('Jak mogę złapać z wami kontakt?'), 'jak-moge-zlapac-z-wami-kontakt');
+  assert.equal(Editor.slugify('Żółw, ŁĄKA i źdźbło – ćma, śnieg, ńo'), 'zolw-laka-i-zdzblo-cma-snieg-no');
+  assert.equal(Editor.slugify('  Kim jest opiekun koła?!  '), 'kim-jest-opiekun-kola');
+  assert.equal(Editor.slugify('???'), '');
+});
+
+test('slugify cuts long questions at a whole word within 60 characters', () => {
+  const slug = Editor.slugify('Czy mogę dołączyć do koła w środku semestru, jeśli studiuję zaocznie i pracuję?');
+  assert.ok(slug.length <= 60, slug);
+  assert.equal(slug, 'czy-moge-dolaczyc-do-kola-w-srodku-semestru-jesli-studiuje');
+});
+
+test('uniqueId appends the first free number', () => {
+  assert.equal(Editor.uniqueId('kontakt', new Set(['a'])), 'kontakt');
+  assert.equal(Editor.uniqueId('kontakt', new Set(['kontakt', 'kontakt-2'])), 'kontakt-3');
+  assert.deepEqual([...Editor.collectIds(sections())], ['a', 'b', 'c', 'd']);
+});
+
+test('moveItem moves within a section and continues into the neighbouring ones', () => {
+  const draft = sections();
+
+  assert.deepEqual(Editor.moveItem(draft, 0, 0, 1), { section: 0, item: 1 });
+  assert.deepEqual(ids(draft), [['b', 'a'], ['c'], ['d']]);
+
+  // Past the last item: to the start of the next section
+  assert.deepEqual(Editor.moveItem(draft, 0, 1, 1), { section: 1, item: 0 });
+  assert.deepEqual(ids(draft), [['b'], ['a', 'c'], ['d']]);
+
+  // Past the first item: to the end of the previous section
+  assert.deepEqual(Editor.moveItem(draft, 2, 0, -1), { section: 1, item: 2 });
+  assert.deepEqual(ids(draft), [['b'], ['a', 'c', 'd'], []]);
+
+  assert.equal(Editor.moveItem(draft, 0, 0, -1), null, 'the very first item stays');
+  assert.deepEqual(Editor.moveItem(draft, 1, 2, 1), { section: 2, item: 0 }, 'an empty section still takes the item');
+  assert.deepEqual(ids(draft), [['b'], ['a', 'c'], ['d']]);
+  assert.equal(Editor.moveItem(draft, 2, 0, 1), null, 'the very last item stays');
+});
+
+test('moveSection swaps neighbours and stops at both ends', () => {
+  const draft = sections();
+
+  assert.equal(Editor.moveSection(draft, 2, -1), 1);
+  assert.deepEqual(draft.map(({ section }) => section), ['O nas', 'Kontakt', 'Spotkania']);
+  assert.equal(Editor.moveSection(draft, 0, -1), null);
+  assert.equal(Editor.moveSection(draft, 2, 1), null);
+});
+
+test('toJson writes the file layout: key order, defaults left out, id lists on one line', () => {
+  const draft = [{
+    items: [{
+      updated: '2026-10-06',
+      a: 'Tak, "naprawdę".',
+      q: 'Czy?',
+      id: 'czy',
+      pinned: false,
+      related: [],
+      highlightSocials: ['messenger', 'facebook'],
+      custom: 1,
+    }],
+    hideHeading: false,
+    section: 'O nas',
+  }];
+
+  assert.equal(Editor.toJson(draft), `[
+  {
+    "section": "O nas",
+    "items": [
+      {
+        "id": "czy",
+        "q": "Czy?",
+        "a": "Tak, \\"naprawdę\\".",
+        "highlightSocials": ["messenger", "facebook"],
+        "updated": "2026-10-06",
+        "custom": 1
+      }
+    ]
+  }
+]
+`);
+});
+
+test('toJson keeps strings with quotes, commas and line breaks intact in one-line lists', () => {
+  const draft = [{ section: 'S', items: [item('a', { related: ['b', 'c'], tags: ['x, "y"', 'z\\\n'] })] }];
+  const json = Editor.toJson(draft);
+
+  assert.match(json, /"related": \["b", "c"\]/);
+  assert.match(json, /"tags": \["x, \\"y\\"", "z\\\\\\n"\]/);
+  assert.deepEqual(JSON.parse(json), draft);
+  assert.deepEqual(JSON.parse(Editor.toJson(Editor.toDraft(JSON.parse(json)))), draft, 'a round trip changes nothing');
+});
+
+test('createDraftStore restores a saved draft and its save time', () => {
+  const storage = createStorage();
+  const store = Editor.createDraftStore(storage, 'draft');
+
+  assert.equal(store.read(), null);
+  assert.equal(store.write(sections(), new Date('2026-10-01T12:00:00Z')), '2026-10-01T12:00:00.000Z');
+  assert.deepEqual(store.read(), { sections: sections(), savedAt: '2026-10-01T12:00:00.000Z' });
+
+  store.clear();
+  assert.equal(store.read(), null);
+});
+
+test('createDraftStore ignores corrupt and outdated drafts', () => {
+  const read = (value) => Editor.createDraftStore(createStorage({ draft: value }), 'draft').read();
+
+  assert.equal(read('{"sections": ['), null, 'cut-off JSON');
+  assert.equal(read('not json'), null);
+  assert.equal(read('null'), null);
+  assert.equal(read(JSON.stringify(sections())), null, 'a bare array from before drafts had savedAt');
+  assert.equal(read(JSON.stringify({ savedAt: '2026-10-01T12:00:00Z', sections: 'O nas' })), null);
+
+  // Malformed parts of an otherwise readable draft become empty ones instead of breaking the form
+  assert.deepEqual(read(JSON.stringify({ savedAt: 'x', sections: [{ items: [null, item('a')] }, 'O nas'] })), {
+    savedAt: 'x',
+    sections: [
+      { section: '', items: [{ id: '', q: '', a: '' }, item('a')] },
+      { section: '', items: [] },
+    ],
+  });
+});
+
+test('createDraftStore reports failed saves instead of throwing', () => {
+  const store = Editor.createDraftStore(createStorage({}, { failing: true }), 'draft');
+  assert.equal(store.write(sections()), null);
+});
+
+test('the editor form fills in ids, moves items and downloads the draft', (t) => {
+  const { window } = new JSDOM('<main class="container"></main>');
+  const { document } = window;
+  t.after(() => window.close());
+
+  const notices = [];
+  const downloads = [];
+  const storage = createStorage({ draft: JSON.stringify({ savedAt: '2026-10-01T12:00:00.000Z', sections: sections() }) });
+  const editor = createEditorUi({
+    document,
+    container: document.querySelector('main'),
+    source: [],
+    store: Editor.createDraftStore(storage, 'draft'),
+    fileName: 'faq-data.pl.json',
+    exitUrl: 'http://localhost/',
+    contentLocale: 'pl',
+    getLocale: () => 'pl',
+    t: (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key),
+    today: () => '2026-10-19',
+    getSocials: () => [],
+    renderPreview: (draft) => document.createTextNode(`${draft.length} sections`),
+    confirm: () => true,
+    showNotice: (notice) => notices.push(notice.id),
+    removeNotice: () => {},
+    download: (text, fileName) => downloads.push({ text, fileName }),
+    copy: async () => {},
+    updateDelay: 0,
+  });
+  editor.render();
+
+  assert.deepEqual(notices, ['faqEditorNotice'], 'the restored draft is announced');
+  assert.equal(document.querySelectorAll('.editor-section').length, 3);
+  assert.equal(document.querySelector('.editor-preview-content').textContent, '3 sections');
+
+  // A new item's id follows its question
+  document.querySelectorAll('.editor-section')[1].querySelector('[data-action="add-item"]').click();
+  const question = document.activeElement;
+  assert.equal(question.dataset.field, 'q');
+  question.value = 'Czy mogę przyjść z psem?';
+  question.dispatchEvent(new window.Event('input', { bubbles: true }));
+  const newItem = question.closest('.editor-item');
+  assert.equal(newItem.querySelector('[data-field="id"]').value, 'czy-moge-przyjsc-z-psem');
+  assert.equal(newItem.querySelector('.editor-error').textContent, '');
+
+  // Duplicate ids are flagged next to the field
+  const id = newItem.querySelector('[data-field="id"]');
+  id.value = 'a';
+  id.dispatchEvent(new window.Event('input', { bubbles: true }));
+  assert.equal(newItem.querySelector('.editor-error').textContent, 'editor.idDuplicate');
+  id.value = 'pies';
+  id.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+  // The first item of the second section moves up into the first one
+  document.querySelectorAll('.editor-section')[1].querySelector('.editor-item [data-action="move-up"]').click();
+  assert.deepEqual(ids(editor.getDraft()), [['a', 'b', 'c'], ['pies'], ['d']]);
+
+  document.querySelector('[data-action="download"]').click();
+  assert.equal(downloads.length, 1);
+  assert.equal(downloads[0].fileName, 'faq-data.pl.json');
+  assert.deepEqual(JSON.parse(downloads[0].text)[1].items, [{ id: 'pies', q: 'Czy mogę przyjść z psem?', a: '', added: '2026-10-19' }]);
+
+  editor.discard();
+  assert.equal(storage.getItem('draft'), null, 'discarding forgets the autosaved draft');
+  assert.deepEqual(editor.getDraft(), []);
+});
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Meeting dates and the .ics export
+ * Repeating series, daylight saving changes and the RFC 5545 details calendar apps are strict about.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { nextOccurrence, upcomingMeetings, zonedToDate, parseLocalDateTime, toIcs } = require('../assets/js/faq-events.js');
+
+const TIME_ZONE = 'Europe/Warsaw';
+const EXPORT_OPTIONS = { timeZone: TIME_ZONE, locale: 'pl', fallbackLocale: 'pl', now: new Date('2026-10-01T08:00:00Z') };
+
+const meeting = (overrides) => ({
+  id: 'spotkanie',
+  title: 'Spotkanie koła',
+  start: '2026-10-06T17:00',
+  end: '2026-10-06T19:00',
+  ...overrides,
+});
+
+// Unfolded content lines of an .ics file
+function icsLines(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+function starts(event, { from, count }) {
+  const result = [];
+  let now = Date.parse(from);
+  for (let i = 0; i < count; i += 1) {
+    const next = nextOccurrence(event, { timeZone: TIME_ZONE, now });
+    if (!next) break;
+    result.push(next.start.toISOString());
+    now = next.end.getTime();
+  }
+  return result;
+}
+
+test('zonedToDate follows the zone offset on both sides of the October change', () => {
+  assert.equal(zonedToDate(parseLocalDateTime('2026-10-20T17:00'), TIME_ZONE).toISOString(), '2026-10-20T15:00:00.000Z');
+  assert.equal(zonedToDate(parseLocalDateTime('2026-10-27T17:00'), TIME_ZONE).toISOString(), '2026-10-27T16:00:00.000Z');
+  assert.equal(zonedToDate(parseLocalDateTime('2027-03-30T17:00'), TIME_ZONE).toISOString(), '2027-03-30T15:00:00.000Z');
+});
+
+test('a weekly series keeps its wall-clock time across daylight saving changes', () => {
+  const event = meeting({ start: '2026-10-20T17:00', end: '2026-10-20T19:00', repeat: { freq: 'weekly' } });
+
+  assert.deepEqual(starts(event, { from: '2026-10-20T00:00:00Z', count: 2 }), [
+    '2026-10-20T15:00:00.000Z',
+    '2026-10-27T16:00:00.000Z',
+  ]);
+});
+
+test('interval, skipped dates, until and count limit a series', () => {
+  const biweekly = meeting({ repeat: { freq: 'weekly', interval: 2, until: '2026-11-17' }, skip: ['2026-11-03'] });
+  assert.deepEqual(starts(biweekly, { from: '2026-10-01T00:00:00Z', count: 10 }), [
+    '2026-10-06T15:00:00.000Z',
+    '2026-10-20T15:00:00.000Z',
+    '2026-11-17T16:00:00.000Z',
+  ]);
+
+  // Skipped dates still count towards `count`, as in iCalendar
+  const counted = meeting({ repeat: { freq: 'weekly', count: 3 }, skip: ['2026-10-13'] });
+  assert.deepEqual(starts(counted, { from: '2026-10-01T00:00:00Z', count: 10 }), [
+    '2026-10-06T15:00:00.000Z',
+    '2026-10-20T15:00:00.000Z',
+  ]);
+});
+
+test('a monthly series leaves out months without its day', () => {
+  const event = meeting({ start: '2027-01-31T17:00', end: '2027-01-31T19:00', repeat: { freq: 'monthly', count: 3 } });
+
+  assert.deepEqual(starts(event, { from: '2027-01-01T00:00:00Z', count: 10 }), [
+    '2027-01-31T16:00:00.000Z',
+    '2027-03-31T15:00:00.000Z',
+    '2027-05-31T15:00:00.000Z',
+  ]);
+});
+
+test('upcomingMeetings drops past meetings and attaches the topic of the date', () => {
+  const data = {
+    timeZone: TIME_ZONE,
+    events: [
+      meeting({ id: 'past', start: '2026-09-01T17:00', end: '2026-09-01T19:00' }),
+      meeting({ id: 'series', repeat: { freq: 'weekly' }, topics: { '2026-10-13': 'Temat' } }),
+    ],
+  };
+
+  const [next, ...rest] = upcomingMeetings(data, { now: Date.parse('2026-10-07T00:00:00Z') });
+  assert.equal(rest.length, 0);
+  assert.equal(next.event.id, 'series');
+  assert.equal(next.date, '2026-10-13');
+  assert.equal(next.topic, 'Temat');
+  assert.deepEqual(upcomingMeetings({ ...data, timeZone: 'Mars/Olympus' }), []);
+});
+
+test('toIcs writes a weekly RRULE with UNTIL in UTC and EXDATE in the meeting zone', () => {
+  const lines = icsLines(toIcs(meeting({
+    repeat: { freq: 'weekly', interval: 2, until: '2027-01-26' },
+    skip: ['2026-12-29'],
+  }), EXPORT_OPTIONS));
+
+  assert.ok(lines.includes('DTSTART;TZID=Europe/Warsaw:20261006T170000'));
+  assert.ok(lines.includes('DTEND;TZID=Europe/Warsaw:20261006T190000'));
+  // Last second of 26 January in Warsaw (UTC+1)
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20270126T225959Z'));
+  assert.ok(lines.includes('EXDATE;TZID=Europe/Warsaw:20261229T170000'));
+  assert.ok(lines.includes('DTSTAMP:20261001T080000Z'));
+});
+
+test('toIcs writes UNTIL for a summer end date with the summer offset', () => {
+  const lines = icsLines(toIcs(meeting({ repeat: { freq: 'weekly', until: '2027-06-29' } }), EXPORT_OPTIONS));
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;UNTIL=20270629T215959Z'));
+});
+
+test('toIcs writes monthly and COUNT rules, COUNT taking precedence over until', () => {
+  const monthly = icsLines(toIcs(meeting({ repeat: { freq: 'monthly', count: 6, until: '2027-01-26' } }), EXPORT_OPTIONS));
+  assert.ok(monthly.includes('RRULE:FREQ=MONTHLY;COUNT=6'));
+
+  const single = icsLines(toIcs(meeting({ skip: ['2026-10-06'] }), EXPORT_OPTIONS));
+  const vevent = single.slice(single.indexOf('BEGIN:VEVENT'));
+  assert.ok(!vevent.some((line) => /^(RRULE|EXDATE)/.test(line)), 'a single meeting has no rule and no EXDATE');
+});
+
+test('toIcs describes the zone in a VTIMEZONE block with both EU transitions', () => {
+  const lines = icsLines(toIcs(meeting(), EXPORT_OPTIONS));
+  const block = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1);
+
+  assert.deepEqual(block, [
+    'BEGIN:VTIMEZONE',
+    'TZID:Europe/Warsaw',
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0200',
+    'TZNAME:CEST',
+    'DTSTART:19700329T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0100',
+    'TZNAME:CET',
+    'DTSTART:19701025T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+  ]);
+  assert.ok(lines.indexOf('END:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'));
+});
+
+test('toIcs folds long lines at 75 octets without splitting multi-byte characters', () => {
+  const description = 'Żółć, gęś i źdźbło – łączymy się o 17:00; zapraszamy wszystkich zainteresowanych 🦉. '.repeat(3);
+  const ics = toIcs(meeting({ description }), EXPORT_OPTIONS);
+
+  assert.ok(ics.endsWith('\r\n'));
+  assert.doesNotMatch(ics.replace(/\r\n/g, ''), /\r|\n/, 'only CRLF line breaks');
+  ics.split('\r\n').forEach((line) => {
+    assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `${Buffer.byteLength(line, 'utf8')} octets: ${line}`);
+    assert.doesNotMatch(line, /[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/, 'a surrogate pair was split');
+  });
+
+  const folded = ics.split('\r\n').filter((line) => line.startsWith(' '));
+  assert.ok(folded.length > 2, 'the description is folded');
+
+  const escaped = description.replace(/,/g, '\\,').replace(/;/g, '\\;');
+  assert.ok(icsLines(ics).includes(`DESCRIPTION:${escaped}`), 'unfolding restores the text');
+});
+
+test('toIcs escapes text values and rejects unknown zones', () => {
+  const lines = icsLines(toIcs(meeting({ title: { pl: 'A, b; c\\d\ne' } }), EXPORT_OPTIONS));
+  assert.ok(lines.includes('SUMMARY:A\\, b\\; c\\\\d\\ne'));
+
+  assert.throws(() => toIcs(meeting(), { ...EXPORT_OPTIONS, timeZone: 'America/New_York' }), /Unsupported time zone/);
+});
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Feedback adapters, rate limiting and export
+ * Covers the in-memory storage main.js falls back to when localStorage is blocked, the POST
+ * adapter against scripts/feedback-server.js and the CSV export.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const Feedback = require('../assets/js/faq-feedback.js');
+
+const COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+test('createMemoryStorage behaves like Storage for the calls the module makes', () => {
+  const storage = Feedback.createMemoryStorage();
+
+  assert.equal(storage.getItem('missing'), null);
+  storage.setItem('key', 42);
+  assert.equal(storage.getItem('key'), '42');
+  storage.removeItem('key');
+  assert.equal(storage.getItem('key'), null);
+});
+
+test('the storage adapter keeps responses in memory storage', async () => {
+  const adapter = Feedback.createAdapter({ type: 'storage', key: 'feedback' }, { storage: Feedback.createMemoryStorage() });
+  const record = Feedback.normalizeRecord({ questionId: 'kim-jestesmy', helpful: true, createdAt: '2026-10-01T12:00:00Z' });
+
+  await adapter.send(record);
+  assert.deepEqual(await adapter.list(), [record]);
+});
+
+test('the rate limiter allows one response per question per cooldown in memory storage', () => {
+  const limiter = Feedback.createRateLimiter(Feedback.createMemoryStorage(), 'feedback-sent', COOLDOWN_MS);
+  const now = Date.parse('2026-10-01T12:00:00Z');
+
+  assert.equal(limiter.canSend('kim-jestesmy', now), true);
+  limiter.markSent('kim-jestesmy', now);
+  assert.equal(limiter.canSend('kim-jestesmy', now + 1000), false);
+  assert.equal(limiter.canSend('inne-pytanie', now + 1000), true);
+  assert.equal(limiter.canSend('kim-jestesmy', now + COOLDOWN_MS), true);
+});
+
+/**
+ * Starts scripts/feedback-server.js on a free port
+ * @param {import('node:test').TestContext} t - Stops the server after the test
+ * @returns {Promise<string>} Endpoint URL printed by the server
+ */
+function startFeedbackServer(t) {
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'feedback-server.js'), '0']);
+  t.after(() => server.kill());
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = /http:\/\/localhost:\d+\/feedback/.exec(output);
+      if (match) resolve(match[0]);
+    });
+    server.on('exit', (code) => reject(new Error(`feedback-server.js exited with code ${code}`)));
+  });
+}
+
+test('the POST adapter delivers responses to scripts/feedback-server.js', async (t) => {
+  const url = await startFeedbackServer(t);
+  const adapter = Feedback.createAdapter({ type: 'post', url }, { fetch });
+  const record = Feedback.normalizeRecord({
+    questionId: 'kim-jestesmy',
+    helpful: false,
+    comment: 'Brakuje godziny, "sala" 319C',
+    locale: 'pl',
+    createdAt: '2026-10-01T12:00:00Z',
+  });
+
+  await adapter.send(record);
+  assert.deepEqual(await (await fetch(url)).json(), [record]);
+
+  const csv = await (await fetch(`${url}.csv`)).text();
+  assert.equal(csv, `${Feedback.FIELDS.join(',')}\r\nkim-jestesmy,false,"Brakuje godziny, ""sala"" 319C",pl,2026-10-01T12:00:00.000Z`);
+});
+
+test('the POST adapter rejects when the server refuses a response', async (t) => {
+  const url = await startFeedbackServer(t);
+  const adapter = Feedback.createPostAdapter(url, { fetch });
+
+  await assert.rejects(adapter.send({ questionId: 'kim-jestesmy' }), /HTTP 400/);
+  await assert.rejects(Feedback.createPostAdapter(`${url}/nieznany`, { fetch }).send({}), /HTTP 404/);
+  assert.deepEqual(await (await fetch(url)).json(), []);
+});
+
+test('toCsv quotes separators and defuses spreadsheet formulas', () => {
+  const record = (comment) => ({ questionId: 'q', helpful: true, comment, locale: 'pl', createdAt: '2026-10-01T12:00:00.000Z' });
+  const rows = (comment) => Feedback.toCsv([record(comment)]).split('\r\n').slice(1).join('\r\n');
+
+  assert.equal(Feedback.toCsv([]), 'questionId,helpful,comment,locale,createdAt');
+  assert.equal(rows('zwykły tekst'), 'q,true,zwykły tekst,pl,2026-10-01T12:00:00.000Z');
+  assert.equal(rows('cytat "w środku"'), 'q,true,"cytat ""w środku""",pl,2026-10-01T12:00:00.000Z');
+  assert.equal(rows('a, b'), 'q,true,"a, b",pl,2026-10-01T12:00:00.000Z');
+  assert.equal(rows('pierwsza\ndruga'), 'q,true,"pierwsza\ndruga",pl,2026-10-01T12:00:00.000Z');
+  assert.equal(rows('=HYPERLINK("http://evil.example")'), `q,true,"'=HYPERLINK(""http://evil.example"")",pl,2026-10-01T12:00:00.000Z`);
+  assert.equal(rows('+48 123'), "q,true,'+48 123,pl,2026-10-01T12:00:00.000Z");
+  assert.equal(rows('-1'), "q,true,'-1,pl,2026-10-01T12:00:00.000Z");
+  assert.equal(rows('@SUM(A1)'), "q,true,'@SUM(A1),pl,2026-10-01T12:00:00.000Z");
+  assert.equal(Feedback.toCsv([record('a'), record('b')]).split('\r\n').length, 3, 'rows end with CRLF');
+});
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Keyboard navigation and the previous/next pager
+ * Unit tests for faq-navigation.js, then the same behaviour on the real page (index.html and
+ * its scripts in jsdom, data files read from disk, desktop layout, reduced motion).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const {
+  getRovingIndex,
+  getTabStopIndex,
+  getPagerNeighbours,
+  getPagerFocusDirection,
+} = require('../assets/js/faq-navigation.js');
+
+const ROOT = path.join(__dirname, '..');
+
+test('getRovingIndex wraps arrows around and jumps with Home/End', () => {
+  assert.equal(getRovingIndex('ArrowDown', 0, 3), 1);
+  assert.equal(getRovingIndex('ArrowDown', 2, 3), 0);
+  assert.equal(getRovingIndex('ArrowUp', 2, 3), 1);
+  assert.equal(getRovingIndex('ArrowUp', 0, 3), 2);
+  assert.equal(getRovingIndex('Home', 2, 3), 0);
+  assert.equal(getRovingIndex('End', 0, 3), 2);
+  assert.equal(getRovingIndex('ArrowDown', 0, 1), 0);
+});
+
+test('getRovingIndex ignores other keys, empty lists and focus outside the list', () => {
+  assert.equal(getRovingIndex('ArrowLeft', 1, 3), null);
+  assert.equal(getRovingIndex('Enter', 1, 3), null);
+  assert.equal(getRovingIndex('ArrowDown', -1, 3), null);
+  assert.equal(getRovingIndex('Home', 0, 0), null);
+});
+
+test('getTabStopIndex prefers the active question and falls back to the first item', () => {
+  const ids = [null, 'kim-jestesmy', 'atmosfera', null, 'kontakt'];
+
+  assert.equal(getTabStopIndex(ids, 'atmosfera'), 2);
+  assert.equal(getTabStopIndex(ids, 'ukryte-pytanie'), 0);
+  assert.equal(getTabStopIndex(ids, null), 0);
+  assert.equal(getTabStopIndex([], 'atmosfera'), -1);
+});
+
+test('getPagerNeighbours stops at the first and last question', () => {
+  const order = ['a', 'b', 'c'];
+
+  assert.deepEqual(getPagerNeighbours(order, 'a'), { previous: null, next: 'b' });
+  assert.deepEqual(getPagerNeighbours(order, 'b'), { previous: 'a', next: 'c' });
+  assert.deepEqual(getPagerNeighbours(order, 'c'), { previous: 'b', next: null });
+  assert.equal(getPagerNeighbours(order, 'x'), null);
+  assert.equal(getPagerNeighbours(['a'], 'a'), null);
+});
+
+test('getPagerFocusDirection keeps the direction or moves to the remaining button', () => {
+  assert.equal(getPagerFocusDirection('next', ['previous', 'next']), 'next');
+  assert.equal(getPagerFocusDirection('next', ['previous']), 'previous');
+  assert.equal(getPagerFocusDirection('previous', ['next']), 'next');
+  assert.equal(getPagerFocusDirection('next', []), null);
+});
+
+/**
+ * Opens index.html with its scripts and waits for the first render
+ * @param {import('node:test').TestContext} t - Closes the window after the test
+ * @returns {Promise<Window>} Page window
+ */
+async function openPage(t) {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const { window } = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true });
+  t.after(() => window.close());
+
+  // Desktop width, reduced motion (answers render without the fade timers)
+  window.matchMedia = (media) => ({
+    media,
+    matches: media.includes('prefers-reduced-motion'),
+    addEventListener() {},
+    removeEventListener() {},
+    addListener() {},
+    removeListener() {},
+  });
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  window.HTMLElement.prototype.scrollTo = () => {};
+  window.fetch = async (url) => {
+    const file = path.join(ROOT, new URL(url, window.location.href).pathname);
+    if (!fs.existsSync(file)) return { ok: false, status: 404 };
+    const body = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(body) };
+  };
+
+  const loaded = new Promise((resolve) => window.document.addEventListener('faq:loaded', resolve, { once: true }));
+  window.document.querySelectorAll('script[src]').forEach((script) => {
+    window.eval(fs.readFileSync(path.join(ROOT, script.getAttribute('src')), 'utf8'));
+  });
+  await loaded;
+  return window;
+}
+
+function press(window, target, key, init = {}) {
+  target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init }));
+}
+
+function getVisibleItems(sidebar) {
+  return Array.from(sidebar.querySelectorAll('.section-toggle, .side-link')).filter((item) => !item.closest('[hidden]'));
+}
+
+function getTabStops(sidebar) {
+  return Array.from(sidebar.querySelectorAll('[tabindex="0"]'));
+}
+
+test('arrow keys, Home and End move focus and the tab stop through the sidebar', async (t) => {
+  const window = await openPage(t);
+  const { document } = window;
+  const sidebar = document.getElementById('sidebar');
+  const items = getVisibleItems(sidebar);
+  assert.ok(items.length > 2);
+
+  const expectFocus = (item, message) => {
+    assert.equal(document.activeElement, item, message);
+    assert.deepEqual(getTabStops(sidebar), [item], `${message}: tab stop`);
+  };
+
+  items[0].focus();
+  press(window, items[0], 'ArrowDown');
+  expectFocus(items[1], 'ArrowDown');
+  press(window, items[1], 'ArrowUp');
+  expectFocus(items[0], 'ArrowUp');
+  press(window, items[0], 'ArrowUp');
+  expectFocus(items[items.length - 1], 'ArrowUp wraps to the end');
+  press(window, items[items.length - 1], 'ArrowDown');
+  expectFocus(items[0], 'ArrowDown wraps to the start');
+  press(window, items[0], 'End');
+  expectFocus(items[items.length - 1], 'End');
+  press(window, items[items.length - 1], 'Home');
+  expectFocus(items[0], 'Home');
+
+  press(window, items[0], 'ArrowDown', { shiftKey: true });
+  expectFocus(items[0], 'Shift+ArrowDown is left to the browser');
+});
+
+test('the tab stop follows the active question', async (t) => {
+  const window = await openPage(t);
+  const sidebar = window.document.getElementById('sidebar');
+  const links = Array.from(sidebar.querySelectorAll('.side-link'));
+  const active = sidebar.querySelector('.side-link.active') || links[0];
+
+  assert.deepEqual(getTabStops(sidebar), [active]);
+
+  // Arrow keys leave the tab stop on another item; activating a question puts it back there
+  active.focus();
+  press(window, active, 'End');
+  assert.notDeepEqual(getTabStops(sidebar), [active]);
+
+  const target = links[3];
+  target.click();
+  assert.deepEqual(getTabStops(sidebar), [target]);
+});
+
+test('the pager stops at the first and last question and keeps focus when paging', async (t) => {
+  const window = await openPage(t);
+  const { document } = window;
+  const links = Array.from(document.querySelectorAll('#sidebar .side-link'));
+  const order = links.map((link) => link.dataset.questionId);
+
+  const shownId = () => document.querySelector('#contentInner article.question').dataset.questionId;
+  const pagerDirections = () => Array.from(document.querySelectorAll('#contentInner .question-pager-btn'), (button) => button.dataset.direction);
+  const pagerButton = (direction) => document.querySelector(`#contentInner .question-pager-btn[data-direction="${direction}"]`);
+
+  links[0].click();
+  assert.equal(shownId(), order[0]);
+  assert.deepEqual(pagerDirections(), ['next']);
+
+  pagerButton('next').click();
+  assert.equal(shownId(), order[1]);
+  assert.deepEqual(pagerDirections(), ['previous', 'next']);
+  assert.equal(document.activeElement, pagerButton('next'), 'focus stays on "next"');
+
+  pagerButton('previous').click();
+  assert.equal(shownId(), order[0]);
+  assert.equal(document.activeElement, pagerButton('next'), 'the first question has no "previous": focus moves to "next"');
+
+  links[order.length - 2].click();
+  pagerButton('next').click();
+  assert.equal(shownId(), order[order.length - 1]);
+  assert.deepEqual(pagerDirections(), ['previous']);
+  assert.equal(document.activeElement, pagerButton('previous'), 'the last question has no "next": focus moves to "previous"');
+});
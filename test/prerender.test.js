@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Build-time pre-render of index.html
+ * Runs scripts/prerender.js on a copy of the page and checks what a visitor without
+ * JavaScript (or a crawler) gets: every question and answer and both socials bars.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const PAGE = path.join(ROOT, 'index.html');
+
+function prerender(file) {
+  return spawnSync(process.execPath, [path.join(ROOT, 'scripts', 'prerender.js'), file], { encoding: 'utf8', timeout: 30000 });
+}
+
+function prerenderCopy(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intersophia-prerender-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const file = path.join(dir, 'index.html');
+  fs.copyFileSync(PAGE, file);
+  const result = prerender(file);
+  assert.equal(result.status, 0, result.stderr);
+  return file;
+}
+
+test('the committed index.html is up to date with the data files', (t) => {
+  const file = prerenderCopy(t);
+  assert.equal(fs.readFileSync(file, 'utf8'), fs.readFileSync(PAGE, 'utf8'), 'run node scripts/prerender.js');
+});
+
+test('re-running the pre-render changes nothing', (t) => {
+  const file = prerenderCopy(t);
+  const first = fs.readFileSync(file, 'utf8');
+  assert.equal(prerender(file).status, 0);
+  assert.equal(fs.readFileSync(file, 'utf8'), first);
+});
+
+test('without JavaScript the page has every question and both socials bars', (t) => {
+  const { document } = new JSDOM(fs.readFileSync(prerenderCopy(t), 'utf8')).window;
+  const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'assets', 'faq-data.pl.json'), 'utf8'));
+  const socials = JSON.parse(fs.readFileSync(path.join(ROOT, 'assets', 'socials.json'), 'utf8'));
+  const questionCount = data.reduce((count, section) => count + section.items.length, 0);
+
+  assert.equal(document.querySelectorAll('#sidebar .side-link').length, questionCount);
+  assert.equal(document.querySelectorAll('#mobileAccordion .acc-item, #mobileAccordion .acc-static').length, questionCount);
+
+  ['desktop', 'mobile'].forEach((layout) => {
+    const links = Array.from(document.querySelectorAll(`.socials[data-layout="${layout}"] a.icon-btn`));
+    assert.deepEqual(links.map((link) => link.dataset.social), socials.map(({ name }) => name), layout);
+    links.forEach((link, index) => {
+      const channel = socials[index];
+      assert.equal(link.getAttribute('href'), channel.urls?.[layout] || channel.url);
+      assert.equal(link.getAttribute('aria-label'), channel.label);
+    });
+  });
+
+  assert.doesNotMatch(document.querySelector('noscript').textContent, /\.socials/, 'nothing hides the bars');
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Hostile answer markup must come out inert
+ * Covers both layers: formatAnswer (data file text -> HTML) and sanitizeHtml (any HTML -> allow-listed nodes).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { formatAnswer, sanitizeHtml, isSafeUrl } = require('../assets/js/faq-render.js');
+
+const { document } = new JSDOM('').window;
+
+const ALLOWED_TAGS = ['P', 'BR', 'UL', 'OL', 'LI', 'STRONG', 'EM', 'CODE', 'MARK', 'A'];
+// Independent of SAFE_URL_PATTERN on purpose, so a regression there shows up here; the href is
+// first cleaned up the way the URL parser does (tabs and line breaks removed, ends trimmed)
+const isSafeHref = (raw) => {
+  const href = raw.replace(/[\t\n\r]/g, '').replace(/^[\x00-\x20]+|[\x00-\x20]+$/g, '');
+  return /^(?:https?:\/\/|mailto:|tel:|#)/i.test(href) || /^\/(?![\/\\])/.test(href);
+};
+
+// Answer text as it could appear in faq-data.*.json
+const HOSTILE_TEXT = {
+  script: '<script>alert(1)</script>',
+  imgOnerror: '<img src=x onerror="alert(1)">',
+  svgOnload: '<svg onload="alert(1)"><circle r="1"/></svg>',
+  javascriptLink: '[kliknij](javascript:alert(1))',
+  dataLink: '[kliknij](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+  backslashLink: '[kliknij](/\\evil.com)',
+  protocolRelativeLink: '[kliknij](//evil.com)',
+  encodedJavascriptLink: '[kliknij](javascript&#58;alert(1))',
+  rawEncodedAnchor: '<a href="javascript&#58;alert(1)">kliknij</a>',
+};
+
+// Markup that reaches sanitizeHtml directly (e.g. a future renderer or a tampered cache)
+const HOSTILE_HTML = {
+  script: '<p>a<script>alert(1)</script>b</p>',
+  imgOnerror: '<p><img src=x onerror="alert(1)">tekst</p>',
+  svgOnload: '<svg onload="alert(1)"><a href="https://example.com">x</a></svg>',
+  javascriptHref: '<a href="javascript:alert(1)">x</a>',
+  mixedCaseHref: '<a href=" JaVaScRiPt:alert(1)">x</a>',
+  dataHref: '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+  backslashHref: '<a href="/\\evil.com">x</a>',
+  protocolRelativeHref: '<a href="//evil.com">x</a>',
+  entityColonHref: '<a href="javascript&#58;alert(1)">x</a>',
+  entityLetterHref: '<a href="&#106;avascript:alert(1)">x</a>',
+  tabInSchemeHref: '<a href="java&#9;script:alert(1)">x</a>',
+  tabInSlashesHref: '<a href="/&#9;/evil.example">x</a>',
+  newlineInSlashesHref: '<a href="/&#10;/evil.example">x</a>',
+  controlPrefixedHref: '<a href="&#1;//evil.example">x</a>',
+  eventAttribute: '<p onclick="alert(1)" style="color:red">x</p>',
+  nestedUnknown: '<div><span onmouseover="alert(1)"><iframe src="https://evil.com"></iframe>x</span></div>',
+  comment: '<p>x<!-- <script>alert(1)</script> --></p>',
+};
+
+function render(html) {
+  const container = document.createElement('div');
+  container.appendChild(sanitizeHtml(html, { document }));
+  return container;
+}
+
+function assertInert(container, name) {
+  container.querySelectorAll('*').forEach((element) => {
+    assert.ok(ALLOWED_TAGS.includes(element.tagName), `${name}: <${element.tagName.toLowerCase()}> survived`);
+    Array.from(element.attributes).forEach(({ name: attribute }) => {
+      assert.ok(!/^on/i.test(attribute), `${name}: ${attribute} survived`);
+      assert.notEqual(attribute.toLowerCase(), 'style', `${name}: style survived`);
+    });
+  });
+
+  container.querySelectorAll('a[href]').forEach((link) => {
+    assert.ok(isSafeHref(link.getAttribute('href')), `${name}: href "${link.getAttribute('href')}" survived`);
+  });
+}
+
+test('formatAnswer escapes raw HTML instead of passing it through', () => {
+  ['script', 'imgOnerror', 'svgOnload', 'rawEncodedAnchor'].forEach((name) => {
+    const html = formatAnswer(HOSTILE_TEXT[name]);
+    assert.doesNotMatch(html, /<(?:script|img|svg|a)\b/i, `${name}: ${html}`);
+    assertInert(render(html), name);
+  });
+});
+
+test('formatAnswer drops links with unsafe addresses but keeps their text', () => {
+  ['javascriptLink', 'dataLink', 'backslashLink', 'protocolRelativeLink', 'encodedJavascriptLink'].forEach((name) => {
+    const html = formatAnswer(HOSTILE_TEXT[name]);
+    assert.doesNotMatch(html, /<a\b/, `${name}: ${html}`);
+    assert.match(html, /kliknij/, `${name}: link text lost`);
+    assertInert(render(html), name);
+  });
+});
+
+test('sanitizeHtml leaves hostile markup inert', () => {
+  Object.entries(HOSTILE_HTML).forEach(([name, html]) => assertInert(render(html), name));
+});
+
+test('sanitizeHtml removes unsafe hrefs, including entity-encoded, /\\ and tab-split ones', () => {
+  ['javascriptHref', 'mixedCaseHref', 'dataHref', 'backslashHref', 'protocolRelativeHref',
+    'entityColonHref', 'entityLetterHref', 'tabInSchemeHref', 'tabInSlashesHref', 'newlineInSlashesHref',
+    'controlPrefixedHref'].forEach((name) => {
+    const link = render(HOSTILE_HTML[name]).querySelector('a');
+    assert.ok(link, `${name}: link text lost`);
+    assert.equal(link.hasAttribute('href'), false, `${name}: href "${link.getAttribute('href')}" survived`);
+  });
+});
+
+test('isSafeUrl reads links the way browsers do', () => {
+  assert.equal(isSafeUrl('/\t/evil.example'), false);
+  assert.equal(isSafeUrl('/\n/evil.example'), false);
+  assert.equal(isSafeUrl('/\r\n\\evil.example'), false);
+  assert.equal(isSafeUrl('\u0001//evil.example'), false);
+  assert.equal(isSafeUrl(' java\tscript:alert(1)'), false);
+
+  assert.equal(isSafeUrl('  /faq  '), true);
+  assert.equal(isSafeUrl('https://www.facebook.com/intersophia'), true);
+  assert.equal(isSafeUrl('#kim-jestesmy'), true);
+});
+
+test('sanitizeHtml drops dangerous elements with their content and unwraps unknown ones', () => {
+  assert.equal(render(HOSTILE_HTML.script).innerHTML, '<p>ab</p>');
+  assert.equal(render(HOSTILE_HTML.svgOnload).innerHTML, '');
+  assert.equal(render(HOSTILE_HTML.nestedUnknown).innerHTML, 'x');
+  assert.equal(render(HOSTILE_HTML.comment).innerHTML, '<p>x</p>');
+  assert.equal(render(HOSTILE_HTML.eventAttribute).innerHTML, '<p>x</p>');
+});
+
+test('formatted answers keep their safe markup', () => {
+  const text = 'Sala `319C`, **pogrubienie**, *kursywa*\n\n- [fanpage](https://www.facebook.com/intersophia)\n- [pytanie](#kim-jestesmy)\n- [mail](mailto:koło@example.com)\n- [strona](/faq)';
+  const container = render(formatAnswer(text));
+
+  assert.equal(container.querySelector('code').textContent, '319C');
+  assert.ok(container.querySelector('strong') && container.querySelector('em'));
+  assert.deepEqual(
+    Array.from(container.querySelectorAll('a'), (link) => link.getAttribute('href')),
+    ['https://www.facebook.com/intersophia', '#kim-jestesmy', 'mailto:koło@example.com', '/faq'],
+  );
+  const external = container.querySelector('a[target]');
+  assert.equal(external.getAttribute('target'), '_blank');
+  assert.equal(external.getAttribute('rel'), 'noopener noreferrer');
+});
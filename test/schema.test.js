@@ -0,0 +1,93 @@
+/**
+ * @fileoverview FAQ data schema and the validate-faq command
+ * Broken content in test/fixtures/ is checked through faq-schema.js, then through
+ * scripts/validate-faq.js, whose exit code is what a pre-commit check relies on.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { validateFaqData, validateSocials, formatIssue } = require('../assets/js/faq-schema.js');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SOCIALS = ['facebook', 'messenger', 'onenote'];
+
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+const messages = (report) => report.issues.map(formatIssue);
+
+function validate(...args) {
+  return spawnSync(process.execPath, [path.join(ROOT, 'scripts', 'validate-faq.js'), ...args], {
+    cwd: ROOT,
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+}
+
+test('the shipped content has no errors', () => {
+  const socials = JSON.parse(fs.readFileSync(path.join(ROOT, 'assets', 'socials.json'), 'utf8'));
+  const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'assets', 'faq-data.pl.json'), 'utf8'));
+
+  assert.deepEqual(messages(validateSocials(socials)), []);
+  assert.equal(validateFaqData(data, { socials: socials.map(({ name }) => name) }).errors, 0);
+});
+
+test('duplicate ids are errors that point at both uses', () => {
+  const report = validateFaqData(fixture('faq-duplicate-ids.json'));
+
+  assert.equal(report.ok, false);
+  assert.deepEqual(messages(report), [
+    '[błąd] sekcja 2 „Kontakt”, pytanie 1 (kim-jestesmy): zduplikowane id "kim-jestesmy" (pierwsze użycie: sekcja 1 „O nas”, pytanie 1 (kim-jestesmy))',
+  ]);
+});
+
+test('highlightSocials may only name channels from socials.json', () => {
+  const data = fixture('faq-unknown-social.json');
+
+  assert.deepEqual(messages(validateFaqData(data, { socials: SOCIALS })), [
+    '[błąd] sekcja 1 „Kontakt”, pytanie 1 (kontakt): "highlightSocials" wskazuje nieznany kanał "myspace"',
+  ]);
+  assert.equal(validateFaqData(data).ok, true, 'without the channel list the names are not checked');
+});
+
+test('social links must be absolute http(s) URLs, per layout too', () => {
+  assert.deepEqual(messages(validateSocials(fixture('socials-bad-urls.json'))), [
+    '[błąd] kanał 1 (facebook): "url" musi być adresem http(s)',
+    '[błąd] kanał 2 (messenger): "urls.mobile" musi być adresem http(s)',
+  ]);
+});
+
+test('a translation missing a question of the base file is reported, one with an unknown id too', () => {
+  const report = validateFaqData(fixture('faq-translation-missing.en.json'), { baseIds: ['kim-jestesmy', 'atmosfera'] });
+
+  assert.equal(report.ok, true, 'missing translations fall back to the base language');
+  assert.deepEqual(messages(report), [
+    '[ostrzeżenie] sekcja 1 „About us”, pytanie 2 (nieznane): id "nieznane" nie występuje w pliku bazowym – tłumaczenie zostanie pominięte',
+    '[ostrzeżenie] brak tłumaczenia pytania "atmosfera" – zostanie pokazane w języku bazowym',
+  ]);
+});
+
+test('validate-faq exits with 0 for the shipped content and 1 for each broken file', () => {
+  const shipped = validate();
+  assert.equal(shipped.status, 0, shipped.stderr);
+
+  const duplicates = validate(path.join(FIXTURES, 'faq-duplicate-ids.json'));
+  assert.equal(duplicates.status, 1);
+  assert.match(duplicates.stderr, /faq-duplicate-ids\.json: \[błąd\] .*zduplikowane id "kim-jestesmy"/);
+
+  const unknownSocial = validate(path.join(FIXTURES, 'faq-unknown-social.json'));
+  assert.equal(unknownSocial.status, 1);
+  assert.match(unknownSocial.stderr, /nieznany kanał "myspace"/);
+
+  const badUrls = validate('assets/faq-data.pl.json', path.join(FIXTURES, 'socials-bad-urls.json'));
+  assert.equal(badUrls.status, 1);
+  assert.match(badUrls.stderr, /socials-bad-urls\.json: \[błąd\] kanał 1 \(facebook\): "url" musi być adresem http\(s\)/);
+
+  const unreadable = validate(path.join(FIXTURES, 'missing.json'));
+  assert.equal(unreadable.status, 1);
+  assert.match(unreadable.stderr, /nie można odczytać pliku/);
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Search matching: Polish diacritic folding, ranking and highlight ranges
+ * Unit tests for faq-search.js, then a query typed into the sidebar search box of the real
+ * page (index.html and its scripts in jsdom, data files read from disk).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { foldText, tokenizeQuery, scoreEntry, findMatchRanges } = require('../assets/js/faq-search.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const entry = (question, answer) => ({
+  searchIndex: { question: foldText(question).folded, answer: foldText(answer).folded },
+});
+
+test('foldText drops Polish diacritics and case', () => {
+  assert.equal(foldText('Żółw').folded, 'zolw');
+  assert.equal(foldText('ŻÓŁW').folded, 'zolw');
+  assert.equal(foldText('Złapać spotkania').folded, 'zlapac spotkania');
+  assert.equal(foldText('ąćęłńóśźż ĄĆĘŁŃÓŚŹŻ').folded, 'acelnoszz acelnoszz');
+  assert.equal(foldText(null).folded, '');
+});
+
+test('ł and Ł, which Unicode does not decompose, fold to l', () => {
+  assert.equal('ł'.normalize('NFD'), 'ł', 'NFD leaves ł alone');
+  assert.equal(foldText('ł').folded, 'l');
+  assert.equal(foldText('Ł').folded, 'l');
+  assert.deepEqual(tokenizeQuery('ŁĄKA łąka'), ['laka']);
+});
+
+test('tokenizeQuery splits on anything but letters and digits and drops repeats', () => {
+  assert.deepEqual(tokenizeQuery('  Gdzie, kiedy?! gdzie 17:00 '), ['gdzie', 'kiedy', '17', '00']);
+  assert.deepEqual(tokenizeQuery('zolw'), tokenizeQuery('żółw'));
+  assert.deepEqual(tokenizeQuery(' ... '), []);
+});
+
+test('scoreEntry needs every term and ranks question matches above answer matches', () => {
+  const inQuestion = entry('Kiedy i gdzie się spotykacie?', 'Zwykle o 17:00.');
+  const inAnswer = entry('Jak działa koło?', 'Spotykamy się co tydzień, kiedy trwa semestr.');
+
+  assert.ok(scoreEntry(inQuestion, ['kiedy']) > scoreEntry(inAnswer, ['kiedy']));
+  assert.equal(scoreEntry(inQuestion, ['kiedy', 'basen']), 0, 'a missing term rules the question out');
+  assert.equal(scoreEntry(entry('Żółw', ''), tokenizeQuery('zolw')), 12, 'title match at the start of a word');
+  assert.equal(scoreEntry(entry('Ożółw', ''), tokenizeQuery('zolw')), 10, 'title match inside a word');
+  assert.equal(scoreEntry(inAnswer, ['kiedy'], { title: 5, wordStart: 1, body: 3 }), 3, 'custom weights');
+});
+
+test('findMatchRanges points into the original text when folding changes its length', () => {
+  // An accent written as a combining mark (e + U+0301) folds to nothing, so the folded text is shorter
+  const text = 'Cafe\u0301 i Żółw';
+  assert.equal(foldText(text).folded, 'cafe i zolw');
+  assert.deepEqual(findMatchRanges(text, ['cafe']), [[0, 5]], 'the combining accent stays inside the match');
+  assert.deepEqual(findMatchRanges(text, ['zolw']), [[8, 12]]);
+  assert.equal(text.slice(8, 12), 'Żółw');
+});
+
+test('findMatchRanges merges overlapping matches and finds every occurrence', () => {
+  assert.deepEqual(findMatchRanges('Spotkania, spótkania', ['spotkania']), [[0, 9], [11, 20]]);
+  assert.deepEqual(findMatchRanges('gdzie', ['gdz', 'dzie']), [[0, 5]]);
+  assert.deepEqual(findMatchRanges('Kontakt', ['basen']), []);
+});
+
+test('typing in the sidebar search box filters, ranks and highlights on the page', async (t) => {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const { window } = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true });
+  t.after(() => window.close());
+
+  window.matchMedia = (media) => ({ media, matches: media.includes('prefers-reduced-motion'), addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {} });
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  window.HTMLElement.prototype.scrollTo = () => {};
+  window.localStorage.setItem('intersophia:locale', 'pl');
+  window.fetch = async (url) => {
+    const file = path.join(ROOT, new URL(url, window.location.href).pathname);
+    if (!fs.existsSync(file)) return { ok: false, status: 404 };
+    const body = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(body) };
+  };
+
+  const loaded = new Promise((resolve) => window.document.addEventListener('faq:loaded', resolve, { once: true }));
+  window.document.querySelectorAll('script[src]').forEach((script) => {
+    window.eval(fs.readFileSync(path.join(ROOT, script.getAttribute('src')), 'utf8'));
+  });
+  await loaded;
+
+  // "zlapac" finds "Jak mogę złapać z wami kontakt?" and marks the original spelling
+  const input = window.document.getElementById('faqSearch-desktop');
+  input.value = 'zlapac';
+  input.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+  const links = Array.from(window.document.querySelectorAll('#sidebar .side-link')).filter((link) => !link.closest('[hidden]'));
+  assert.deepEqual(links.map((link) => link.dataset.questionId), ['jak-moge-zlapac-kontakt', 'a-bardziej-pragmatycznie'],
+    'the question match comes before the answer match');
+  assert.deepEqual(Array.from(links[0].querySelectorAll('mark'), (mark) => mark.textContent), ['złapać']);
+});